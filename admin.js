@@ -0,0 +1,135 @@
+// User management for admins, and the admin audit log.
+//
+// Usage: node admin.js grant <email> | revoke <email>   (gives or takes away the admin role)
+const pool = require('./db');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const USER_ROLES = ['user', 'admin'];
+const USER_STATUSES = ['active', 'suspended'];
+const USER_COLUMNS = `id, name, email, email_verified_at, phone, phone_verified_at, timezone, role, status,
+  suspended_at, suspended_reason, created_at`;
+
+async function recordAdminAction({
+  adminId,
+  action,
+  targetType = null,
+  targetId = null,
+  details = null,
+  ipAddress = null,
+}) {
+  await queryPromise(
+    `INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [adminId, action, targetType, targetId === null ? null : String(targetId), JSON.stringify(details), ipAddress]
+  );
+}
+
+// Newest entries first; the cursor is the last id seen
+async function listAuditLog({ adminId = null, action = null, targetType = null, targetId = null, limit, cursor }) {
+  const clauses = [];
+  const values = [];
+  const filters = { admin_id: adminId, action, target_type: targetType, target_id: targetId };
+  for (const [column, value] of Object.entries(filters)) {
+    if (value === null || value === undefined) continue;
+    clauses.push(`l.${column} = ?`);
+    values.push(value);
+  }
+  if (cursor) {
+    clauses.push('l.id < ?');
+    values.push(cursor);
+  }
+
+  const rows = await queryPromise(
+    `SELECT l.*, u.email AS admin_email FROM admin_audit_log l LEFT JOIN users u ON u.id = l.admin_id
+     ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY l.id DESC LIMIT ?`,
+    [...values, limit + 1]
+  );
+  const entries = rows.slice(0, limit);
+  return { entries, nextCursor: rows.length > limit ? entries[entries.length - 1].id : null };
+}
+
+// Users newest first, optionally filtered by name/email/phone fragment, role and status
+async function listUsers({ q = null, role = null, status = null, limit, cursor }) {
+  const clauses = [];
+  const values = [];
+  if (q) {
+    const pattern = `%${q.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    clauses.push('(name LIKE ? OR email LIKE ? OR phone LIKE ?)');
+    values.push(pattern, pattern, pattern);
+  }
+  if (role) {
+    clauses.push('role = ?');
+    values.push(role);
+  }
+  if (status) {
+    clauses.push('status = ?');
+    values.push(status);
+  }
+  if (cursor) {
+    clauses.push('id < ?');
+    values.push(cursor);
+  }
+
+  const rows = await queryPromise(
+    `SELECT ${USER_COLUMNS} FROM users ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY id DESC LIMIT ?`,
+    [...values, limit + 1]
+  );
+  const users = rows.slice(0, limit);
+  return { users, nextCursor: rows.length > limit ? users[users.length - 1].id : null };
+}
+
+async function getUser(userId) {
+  const rows = await queryPromise(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
+  return rows[0] || null;
+}
+
+// Returns false when the user was already in that status
+async function setUserStatus(userId, status, reason = null) {
+  const result = await queryPromise(
+    `UPDATE users SET status = ?, suspended_at = ?, suspended_reason = ? WHERE id = ? AND status <> ?`,
+    [status, status === 'suspended' ? new Date() : null, status === 'suspended' ? reason : null, userId, status]
+  );
+  return result.affectedRows > 0;
+}
+
+async function setUserRole(userId, role) {
+  const result = await queryPromise('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+  return result.affectedRows > 0;
+}
+
+async function main([command, email]) {
+  if (!['grant', 'revoke'].includes(command) || !email) {
+    throw new Error('Usage: node admin.js grant <email> | revoke <email>');
+  }
+  const role = command === 'grant' ? 'admin' : 'user';
+  const result = await queryPromise('UPDATE users SET role = ? WHERE email = ?', [role, email]);
+  if (result.affectedRows === 0) throw new Error(`No user with email ${email}`);
+
+  await recordAdminAction({ adminId: null, action: `cli.${command}_admin`, targetType: 'user', details: { email } });
+  console.log(`✅ ${email} now has the ${role} role`);
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main(process.argv.slice(2))
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  USER_ROLES,
+  USER_STATUSES,
+  recordAdminAction,
+  listAuditLog,
+  listUsers,
+  getUser,
+  setUserStatus,
+  setUserRole,
+};
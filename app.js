@@ -1,21 +1,181 @@
 // Load .env at the very top
 require('dotenv').config();
 
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const bodyParser = require('body-parser');
 const moment = require('moment-timezone');
 const pool = require('./db');
-const { generateToken } = require('./auth');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  registerFcmToken,
+} = require('./sessions');
+const { sendVerificationCode, consumeVerificationCode, CODE_ERRORS } = require('./verification');
 const authMiddleware = require('./middleware/authMiddleware');
+const adminMiddleware = require('./middleware/adminMiddleware');
+const {
+  rateLimit,
+  normalizeIdentifier,
+  signinLockRemaining,
+  recordSigninFailure,
+  clearSigninFailures,
+} = require('./middleware/rateLimit');
+const { runMigrations } = require('./migrate');
+const { parseSongSearchParams, searchSongs, songFacets } = require('./songSearch');
+const {
+  CATALOG_ENTITIES,
+  createSong,
+  updateSong,
+  deleteSong,
+  parsePage,
+  listEntities,
+  getEntity,
+  listEntitySongs,
+  getSongCredits,
+} = require('./catalog');
+const { normalizeSongInput, songSourceKey } = require('./importer');
+const {
+  USER_ROLES,
+  USER_STATUSES,
+  listAuditLog,
+  listUsers,
+  getUser,
+  setUserStatus,
+  setUserRole,
+} = require('./admin');
+const { getSongAudio } = require('./streaming');
+const { parseLyrics, toLrc, toPlainText, setSongLyrics, getSongLyrics, deleteSongLyrics, searchLyrics } = require('./lyrics');
+const {
+  NOTIFICATION_TYPES,
+  getNotificationSettings,
+  parseNotificationSettings,
+  updateNotificationSettings,
+  notifyUser,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+} = require('./notifications');
+const { buildDigest, startDigestScheduler } = require('./digest');
+const {
+  parsePlaylistInput,
+  parseSongIds,
+  findMissingSongs,
+  listPlaylists,
+  getOwnedPlaylist,
+  getPlaylistItems,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistItems,
+  removePlaylistItem,
+  reorderPlaylistItems,
+  sharePlaylist,
+  unsharePlaylist,
+  getSharedPlaylist,
+  listFavourites,
+  addFavourite,
+  removeFavourite,
+} = require('./playlists');
+const { parseLimit, parsePlayEvent, recordPlay, recentlyPlayed, mostPlayed, recommendSongs } = require('./listening');
+const {
+  MEMBER_ROLES,
+  visibleTodosClause,
+  getCategoryRole,
+  getTodoAccess,
+  canEdit,
+  canComplete,
+  listCategories,
+  listMembers,
+  findUserByIdentifier,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  canBeAssigned,
+  recordActivity,
+  listActivity,
+  notifyAssignee,
+} = require('./sharing');
+const {
+  parseSubtaskInput,
+  listSubtasks,
+  subtaskProgress,
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks,
+  copySubtasks,
+  listDependencies,
+  openBlockers,
+  addDependency,
+  removeDependency,
+} = require('./subtasks');
+const { TODO_STATUSES, TODO_PRIORITIES, parseTodoQuery, searchTodos } = require('./todoSearch');
+const { parseStatsQuery, todoStats } = require('./stats');
+const {
+  ARCHIVE_FORMATS,
+  CONFLICT_MODES,
+  loadArchive,
+  archiveToCsv,
+  archiveToIcs,
+  parseImport,
+  importTodos,
+} = require('./todoArchive');
+const { ICAL_COMPONENTS } = require('./ical');
+const {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  hashToken: hashFeedToken,
+  findFeedOwner,
+  parseFeedOptions,
+  feedQueryString,
+  renderCalendarFeed,
+} = require('./calendarFeed');
+const { parseTagName, parseTagNames, setTodoTags, tagsForTodos, copyTodoTags, listTags, renameTag, deleteTag } = require('./tags');
+const {
+  tombstoneTodo,
+  tombstoneTodoMove,
+  tombstoneCategoryAccess,
+  deleteCategory,
+  scheduleTombstonePurge,
+  parseSince,
+  changesSince,
+  parseMutations,
+  applyMutations,
+} = require('./sync');
+const {
+  MAX_OFFSETS_PER_TODO,
+  parseReminderOffsets,
+  formatReminderOffset,
+  getUserDefaultOffsets,
+  setUserDefaultOffsets,
+  setTodoReminderOffsets,
+  syncTodoReminders,
+  cancelReminders,
+  startReminderScheduler,
+} = require('./reminders');
+const { parseRecurrence, formatRecurrence, nextOccurrence, upcomingOccurrences } = require('./recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseUserDate,
+  toUserMoment,
+  formatUserDate,
+} = require('./timezone');
 const app = express();
-const schedule = require('node-schedule');
-const scheduledReminderJobs = new Map();
-const admin = require('./firebase');
 
-// ✅ Parse JSON
-app.use(express.json());
+// ✅ Parse JSON. Imports may be whole account archives, so POST /import parses its own body with a
+// larger limit, and only once the user is authenticated.
+const IMPORT_BODY_LIMIT = '5mb';
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/import' ? next() : jsonParser(req, res, next)));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Debugging content type
@@ -24,6 +184,45 @@ app.use((req, res, next) => {
   next();
 });
 
+// Behind a load balancer req.ip is the proxy's address unless Express is told to trust it
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// ---------- Rate Limits ----------
+// Defaults per client IP unless keyed otherwise; see middleware/rateLimit.js for overrides
+app.use('/public', rateLimit({ name: 'public', max: 300, windowSeconds: 60 }));
+const searchLimiter = rateLimit({ name: 'search', max: 60, windowSeconds: 60 });
+const signupLimiter = rateLimit({ name: 'signup-ip', max: 10, windowSeconds: 60 * 60 });
+const signinLimiters = [
+  rateLimit({ name: 'signin-ip', max: 30, windowSeconds: 15 * 60 }),
+  rateLimit({
+    name: 'signin-identifier',
+    max: 10,
+    windowSeconds: 15 * 60,
+    key: req => normalizeIdentifier(req.body.identifier),
+  }),
+];
+const passwordResetLimiters = [
+  rateLimit({ name: 'password-reset-ip', max: 10, windowSeconds: 15 * 60 }),
+  rateLimit({
+    name: 'password-reset-identifier',
+    max: 5,
+    windowSeconds: 15 * 60,
+    key: req => normalizeIdentifier(req.body.identifier),
+  }),
+];
+const refreshLimiter = rateLimit({ name: 'token-refresh-ip', max: 60, windowSeconds: 15 * 60 });
+// Per feed rather than per IP: calendar services poll many users' feeds from a few addresses
+const calendarFeedLimiter = rateLimit({
+  name: 'calendar-feed',
+  max: 120,
+  windowSeconds: 60 * 60,
+  key: req => hashFeedToken(req.params.token),
+});
+const verifyLimiter = rateLimit({ name: 'verify-user', max: 10, windowSeconds: 15 * 60, key: req => req.user.id });
+
 app.post('/test-json', (req, res) => {
   console.log('Test json body:', req.body);
   res.json({ received: req.body });
@@ -33,133 +232,64 @@ app.post('/test-json', (req, res) => {
 const queryPromise = (sql, params = []) =>
   pool.query(sql, params).then(([rows]) => rows);
 
-// Table creation SQL (same as before)
-const createUsersTable = `
-CREATE TABLE IF NOT EXISTS users (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  name VARCHAR(255) NOT NULL,
-  email VARCHAR(255) NOT NULL UNIQUE,
-  phone VARCHAR(20) UNIQUE,
-  password VARCHAR(255) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);`;
-
-const createUserTokensTable = `
-CREATE TABLE IF NOT EXISTS user_tokens (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NOT NULL,
-  token VARCHAR(512) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-);`;
-
-const createCategoriesTable = `
-CREATE TABLE IF NOT EXISTS categories (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NOT NULL,
-  name VARCHAR(255) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-);`;
-
-const createTodosTable = `
-CREATE TABLE IF NOT EXISTS todos (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NOT NULL,
-  title VARCHAR(255) NOT NULL,
-  description TEXT,
-  status ENUM('pending','completed') DEFAULT 'pending',
-  priority ENUM('low','medium','high') DEFAULT 'medium',
-  category_id INT,
-  due_date DATETIME,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
-);`;
-
-const createSongsTable = `
-CREATE TABLE IF NOT EXISTS songs (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  title VARCHAR(255),
-  artist VARCHAR(255),
-  movie VARCHAR(255),
-  year VARCHAR(10),
-  genre VARCHAR(100),
-  composers VARCHAR(255),
-  audio_lang VARCHAR(50),
-  label VARCHAR(255),
-  file_url TEXT,
-  album_art_url TEXT,
-  local_mp3 TEXT,
-  local_jpg TEXT,
-  youtube_url TEXT,
-  lyrics JSON,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-`;
-
-const createUserFcmTokensTable = `
-CREATE TABLE IF NOT EXISTS user_fcm_tokens (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NOT NULL,
-  fcm_token VARCHAR(512) NOT NULL UNIQUE,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-);
-`;
-
 app.get("/", (req, res) => {
   res.send("🚀 Assister API is running!");
 });
 
-// Start server
+// Start server once the schema is current; never serve traffic against a stale schema
 const port = process.env.PORT || 3000;
-app.listen(port, () => {
-  console.log(`Server listening on port ${port}`);
+runMigrations()
+  .then(() => {
+    app.listen(port, async () => {
+      console.log(`Server listening on port ${port}`);
+      await startReminderScheduler();
+      scheduleTombstonePurge();
+      startDigestScheduler();
+    });
+  })
+  .catch((err) => {
+    console.error("❌ Migrations failed, not starting server:", err);
+    process.exit(1);
+  });
 
-  runMigrations();
-});
+// Due dates are stored in UTC and shown in the user's timezone
+function withUserDates(todo, tz) {
+  todo.due_date = formatUserDate(todo.due_date, tz);
+  todo.recurrence_start = formatUserDate(todo.recurrence_start, tz);
+  return todo;
+}
 
-// Create tables
-async function runMigrations() {
+// Public route: List songs, newest first, one page at a time (?limit=&cursor=)
+app.get('/public/songs', async (req, res) => {
+  let params;
   try {
-    console.log("⚙️ Running database migrations...");
-    await queryPromise(createUsersTable);
-    await queryPromise(createCategoriesTable);
-    await queryPromise(createTodosTable);
-    await queryPromise(createUserTokensTable);
-    await queryPromise(createUserFcmTokensTable);
-    await queryPromise(createSongsTable);
-    console.log("✅ All tables ready");
-  } catch (err) {
-    console.error("❌ Error creating tables:", err);
+    params = parseSongSearchParams({ limit: req.query.limit, cursor: req.query.cursor });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-}
 
-// Public route: Get all songs metadata
-app.get('/public/songs', async (req, res) => {
   try {
-    const [rows] = await pool.query('SELECT * FROM songs ORDER BY created_at DESC');
-    res.json(rows);
+    res.json(await searchSongs(params));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Public route: Search songs by a word in the title
-app.get('/public/songs/search', async (req, res) => {
-  const { q } = req.query;
-  if (!q) return res.status(400).json({ error: 'Query parameter "q" is required' });
+// Public route: Search songs by title, artist, movie, composers and label, ranked by relevance.
+// Filters: lang, genre (comma-separated), yearFrom, yearTo. facets=year,composers,... adds counts.
+app.get('/public/songs/search', searchLimiter, async (req, res) => {
+  let params;
+  try {
+    params = parseSongSearchParams(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
   try {
-    console.log('Search term:', q);
-    const likeQuery = `%${q}%`;
-    const rows = await queryPromise('SELECT * FROM songs WHERE title LIKE ?', [likeQuery]);
-    console.log('DB results:', rows);
-    res.json(rows); // Return results array, empty if no matches
+    console.log('Search params:', req.query);
+    const result = await searchSongs(params);
+    if (params.facets.length) result.facets = await songFacets(params);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -171,76 +301,370 @@ app.get('/public/songs/:id', async (req, res) => {
   try {
     const [rows] = await pool.query('SELECT * FROM songs WHERE id = ?', [id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Song not found' });
-    res.json(rows[0]);
+    res.json({ ...rows[0], ...(await getSongCredits(id)) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ---------- Authentication Routes ----------
-
-async function getUserFcmTokens(userId) {
+// Public route: Stream a song's audio. Supports Range requests for seeking.
+app.get('/public/songs/:id/stream', async (req, res) => {
   try {
-    const rows = await queryPromise('SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ?', [userId]);
-    return rows.map(row => row.fcm_token);
-  } catch (err) {
-    console.error('Failed to fetch FCM tokens for user:', userId, err);
-    return [];
-  }
-}
+    const [rows] = await pool.query('SELECT id, local_mp3, file_url FROM songs WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Song not found' });
+
+    const audio = await getSongAudio(rows[0], req.headers.range);
+    if (!audio) return res.status(404).json({ error: 'No audio for this song' });
 
-async function sendPushNotification(fcmTokens, title, body) {
-  if (!fcmTokens.length) {
-    console.log('No FCM tokens for user; skipping notification');
-    return;
+    if (audio.file) {
+      return res.sendFile(audio.file, { maxAge: '1d' }, err => {
+        if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.message });
+      });
+    }
+
+    // Not cached yet: pass the source's response through while the cache fills
+    res.status(audio.status).set(audio.headers);
+    if (!audio.headers['content-type']) res.type(audio.extension);
+    if (!audio.body) return res.end();
+    pipeline(audio.body, res).catch(err => {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Song stream failed:', err.message);
+    });
+  } catch (error) {
+    if (error.code === 'UPSTREAM_ERROR') return res.status(502).json({ error: error.message });
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const payload = {
-    notification: { title, body },
-    tokens: fcmTokens,
-  };
+// Public route: Lyrics of a song as JSON (default), ?format=lrc for time-synced LRC or ?format=text
+app.get('/public/songs/:id/lyrics', async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'lrc', 'text'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json, lrc or text' });
+  }
 
   try {
-    const response = await admin.messaging().sendMulticast(payload);
-    console.log(`Sent ${response.successCount} push notifications; ${response.failureCount} failed`);
+    const lyrics = await getSongLyrics(req.params.id);
+    if (!lyrics) return res.status(404).json({ error: 'Lyrics not found' });
+
+    if (format === 'json') return res.json(lyrics);
+    if (format === 'lrc' && !lyrics.synced) {
+      return res.status(406).json({ error: 'Lyrics for this song are not time-synced' });
+    }
+    res.type('text/plain; charset=utf-8').send(format === 'lrc' ? toLrc(lyrics) : toPlainText(lyrics));
   } catch (error) {
-    console.error('Error sending push notifications:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
+
+// Public route: Find songs by a line of their lyrics (?q=&limit=)
+app.get('/public/lyrics/search', searchLimiter, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
 
-function scheduleReminderNotification(todoId, reminderDateUTC, fcmTokens, title) {
-  if (scheduledReminderJobs.has(todoId)) {
-    scheduledReminderJobs.get(todoId).cancel();
+  let limit;
+  try {
+    limit = parseLimit(req.query.limit);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  if (reminderDateUTC <= new Date()) {
-    console.log(`Reminder time already passed for todo ${todoId}, skipping scheduling`);
-    return;
+  try {
+    res.json(await searchLyrics(q, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const job = schedule.scheduleJob(reminderDateUTC, async () => {
-    await sendPushNotification(fcmTokens, 'Todo Reminder', title);
-    scheduledReminderJobs.delete(todoId);
+// Public routes: browse artists, composers, movies and labels, e.g.
+// GET /public/artists?q=&limit=&cursor=, GET /public/artists/:id, GET /public/artists/:id/songs
+for (const kind of Object.keys(CATALOG_ENTITIES)) {
+  app.get(`/public/${kind}`, async (req, res) => {
+    let page;
+    try {
+      page = parsePage(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(await listEntities(kind, { q: req.query.q, ...page }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Movie details include their songs, since a soundtrack is the album
+  app.get(`/public/${kind}/:id`, async (req, res) => {
+    try {
+      const entity = await getEntity(kind, req.params.id);
+      if (!entity) return res.status(404).json({ error: 'Not found' });
+      if (kind === 'movies') {
+        entity.songs = (await listEntitySongs(kind, entity.id, { limit: 100, cursor: null })).songs;
+      }
+      res.json(entity);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   });
 
-  scheduledReminderJobs.set(todoId, job);
-  console.log(`Scheduled reminder for todo ${todoId} at ${reminderDateUTC}`);
+  app.get(`/public/${kind}/:id/songs`, async (req, res) => {
+    let page;
+    try {
+      page = parsePage(req.query, { numericCursor: true });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const entity = await getEntity(kind, req.params.id);
+      if (!entity) return res.status(404).json({ error: 'Not found' });
+      res.json(await listEntitySongs(kind, entity.id, page));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 }
 
-function cancelReminderNotification(todoId) {
-  if (scheduledReminderJobs.has(todoId)) {
-    scheduledReminderJobs.get(todoId).cancel();
-    scheduledReminderJobs.delete(todoId);
-    console.log(`Cancelled reminder for todo ${todoId}`);
+// Public route: Read-only view of a playlist its owner has shared
+app.get('/public/playlists/:shareToken', async (req, res) => {
+  try {
+    const playlist = await getSharedPlaylist(req.params.shareToken);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    res.json(playlist);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
+
+// ---------- Admin: Catalog ----------
+// Songs take the songs column names: title (required), artist, movie, year, duration, genre,
+// composers, audio_lang, label, file_url, album_art_url, local_mp3, local_jpg, youtube_url
+app.post('/admin/songs', adminMiddleware, async (req, res) => {
+  let values;
+  try {
+    values = normalizeSongInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const id = await createSong({ ...values, source_key: songSourceKey(values) });
+    res.locals.audit = { action: 'song.create', targetType: 'song', targetId: id, details: values };
+    res.status(201).json({ id, message: 'Song created' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A song with this source already exists' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/admin/songs/:id', adminMiddleware, async (req, res) => {
+  let changes;
+  try {
+    changes = normalizeSongInput(req.body, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const [existing] = await queryPromise('SELECT * FROM songs WHERE id = ?', [req.params.id]);
+    if (!existing) return res.status(404).json({ error: 'Song not found' });
+
+    const sourceKey = songSourceKey({ ...existing, ...changes });
+    const song = await updateSong(existing.id, { ...changes, source_key: sourceKey });
+    const before = Object.fromEntries(Object.keys(changes).map(column => [column, existing[column]]));
+    res.locals.audit = {
+      action: 'song.update',
+      targetType: 'song',
+      targetId: existing.id,
+      details: { before, after: changes },
+    };
+    res.json(song);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A song with this source already exists' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/admin/songs/:id', adminMiddleware, async (req, res) => {
+  try {
+    const [song] = await queryPromise('SELECT * FROM songs WHERE id = ?', [req.params.id]);
+    if (!song) return res.status(404).json({ error: 'Song not found' });
+
+    await deleteSong(song.id);
+    res.locals.audit = {
+      action: 'song.delete',
+      targetType: 'song',
+      targetId: song.id,
+      details: { title: song.title },
+    };
+    res.json({ message: 'Song deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Attach lyrics to a song: a text/plain body, or JSON { lyrics, format: lrc | text }.
+// The format is detected from the content when not given.
+app.put(
+  '/admin/songs/:id/lyrics',
+  adminMiddleware,
+  express.text({ type: ['text/plain', 'text/x-lrc', 'application/x-lrc'], limit: '200kb' }),
+  async (req, res) => {
+    const content = typeof req.body === 'string' ? req.body : req.body.lyrics;
+    const format = typeof req.body === 'string' ? req.query.format : req.body.format;
+
+    let lyrics;
+    try {
+      lyrics = parseLyrics(content, format);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const [rows] = await pool.query('SELECT id FROM songs WHERE id = ?', [req.params.id]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Song not found' });
+
+      await setSongLyrics(rows[0].id, lyrics);
+      res.locals.audit = {
+        action: 'song.lyrics.set',
+        targetType: 'song',
+        targetId: rows[0].id,
+        details: { synced: lyrics.synced, lines: lyrics.lines.length },
+      };
+      res.json({ message: 'Lyrics saved', synced: lyrics.synced, lines: lyrics.lines.length });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.delete('/admin/songs/:id/lyrics', adminMiddleware, async (req, res) => {
+  try {
+    const deleted = await deleteSongLyrics(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Lyrics not found' });
+    res.locals.audit = { action: 'song.lyrics.delete', targetType: 'song', targetId: req.params.id };
+    res.json({ message: 'Lyrics deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Admin: Users ----------
+// GET /admin/users?q=&role=&status=&limit=&cursor=
+app.get('/admin/users', adminMiddleware, async (req, res) => {
+  let page;
+  try {
+    page = parsePage(req.query, { numericCursor: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { q = null, role = null, status = null } = req.query;
+  if (role && !USER_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+  if (status && !USER_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+
+  try {
+    res.json(await listUsers({ q, role, status, ...page }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/admin/users/:id', adminMiddleware, async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ ...user, sessions: await listSessions(user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Suspended users can't sign in, and their sessions end immediately
+app.post('/admin/users/:id/suspend', adminMiddleware, body('reason').optional().isString(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  if (Number(req.params.id) === req.user.id) return res.status(400).json({ error: 'You cannot suspend yourself' });
+
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const reason = req.body.reason ? req.body.reason.slice(0, 255) : null;
+    const changed = await setUserStatus(user.id, 'suspended', reason);
+    if (!changed) return res.status(409).json({ error: 'User is already suspended' });
+
+    await revokeOtherSessions(user.id, null, 'suspended');
+    res.locals.audit = { action: 'user.suspend', targetType: 'user', targetId: user.id, details: { reason } };
+    res.json({ message: 'User suspended' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/admin/users/:id/reactivate', adminMiddleware, async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const changed = await setUserStatus(user.id, 'active');
+    if (!changed) return res.status(409).json({ error: 'User is already active' });
+
+    res.locals.audit = { action: 'user.reactivate', targetType: 'user', targetId: user.id };
+    res.json({ message: 'User reactivated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/admin/users/:id/role', adminMiddleware, body('role').isIn(USER_ROLES), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  if (Number(req.params.id) === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    await setUserRole(user.id, req.body.role);
+    res.locals.audit = {
+      action: 'user.role',
+      targetType: 'user',
+      targetId: user.id,
+      details: { from: user.role, to: req.body.role },
+    };
+    res.json({ message: 'Role updated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /admin/audit-log?adminId=&action=&targetType=&targetId=&limit=&cursor=
+app.get('/admin/audit-log', adminMiddleware, async (req, res) => {
+  let page;
+  try {
+    page = parsePage(req.query, { numericCursor: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { adminId = null, action = null, targetType = null, targetId = null } = req.query;
+
+  try {
+    res.json(await listAuditLog({ adminId, action, targetType, targetId, ...page }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Authentication Routes ----------
 
 // Signup
 app.post(
   '/signup',
+  signupLimiter,
   body('email').isEmail(),
   body('phone').isMobilePhone().withMessage('Invalid phone number'),
   body('password').isLength({ min: 6 }),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
   body('confirmPassword').custom((value, { req }) => {
     if (value !== req.body.password) {
       throw new Error('Passwords do not match');
@@ -252,7 +676,7 @@ app.post(
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { email, phone, password, name } = req.body;
+    const { email, phone, password, name, timezone } = req.body;
 
     try {
       // Check if email or phone already exists
@@ -266,16 +690,21 @@ app.post(
 
       const hashedPassword = await bcrypt.hash(password, 10);
       const result = await queryPromise(
-        'INSERT INTO users (name, email, phone, password) VALUES (?, ?, ?, ?)',
-        [name, email, phone, hashedPassword]
+        'INSERT INTO users (name, email, phone, password, timezone) VALUES (?, ?, ?, ?, ?)',
+        [name, email, phone, hashedPassword, timezone || DEFAULT_TIMEZONE]
       );
 
       // Fetch the newly inserted user (excluding password for security)
       const [newUser] = await queryPromise(
-        'SELECT id, name, email, phone, created_at FROM users WHERE id = ?',
+        'SELECT id, name, email, email_verified_at, phone, phone_verified_at, timezone, created_at FROM users WHERE id = ?',
         [result.insertId]
       );
 
+      // Start email verification right away; signup still succeeds if the message can't be sent
+      sendVerificationCode(newUser.id, 'email_verification', { channel: 'email', target: newUser.email }).catch(
+        err => console.error('Could not send verification email:', err.message)
+      );
+
       res.status(201).json({ user: newUser });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -286,260 +715,1648 @@ app.post(
 // Signin (by email OR phone)
 app.post(
   '/signin',
+  ...signinLimiters,
   body('identifier').notEmpty().withMessage('Email or phone is required'),
   body('password').exists(),
   body('fcmToken').optional().isString(),
+  body('deviceName').optional().isString(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { identifier, password, fcmToken } = req.body;
+    const { identifier, password, fcmToken, deviceName } = req.body;
 
     try {
+      const lockedFor = await signinLockRemaining(identifier);
+      if (lockedFor > 0) {
+        res.set('Retry-After', String(lockedFor));
+        return res.status(429).json({ error: 'Too many failed sign-in attempts, please try again later' });
+      }
+
       // Try finding by email OR phone
       const users = await queryPromise(
         'SELECT * FROM users WHERE email = ? OR phone = ?',
         [identifier, identifier]
       );
 
-      if (users.length === 0) return res.status(401).json({ error: 'Invalid credentials' });
-
       const user = users[0];
-      const passwordMatch = await bcrypt.compare(password, user.password);
-      if (!passwordMatch) return res.status(401).json({ error: 'Invalid credentials' });
+      const passwordMatch = user ? await bcrypt.compare(password, user.password) : false;
+      if (!passwordMatch) {
+        await recordSigninFailure(identifier);
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      await clearSigninFailures(identifier);
+      if (user.status !== 'active') return res.status(403).json({ error: 'Account suspended' });
 
-      const token = generateToken(user);
-      await queryPromise('INSERT INTO user_tokens (user_id, token) VALUES (?, ?)', [
-        user.id,
-        token,
-      ]);
+      const tokens = await createSession(user, {
+        deviceName,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+      });
 
       // Save or update the FCM token if provided
-      if (fcmToken) {
-        await queryPromise(
-          `INSERT INTO user_fcm_tokens (user_id, fcm_token) VALUES (?, ?)
-           ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP`,
-          [user.id, fcmToken]
-        );
-      }
+      if (fcmToken) await registerFcmToken(user.id, tokens.sessionId, fcmToken);
 
-      // Return user without password + token
+      // Return user without password + access and refresh tokens
       const { password: _, ...userWithoutPassword } = user;
-      res.json({ user: userWithoutPassword, token });
+      res.json({ user: userWithoutPassword, ...tokens });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   }
 );
 
-// ---------- Todos Routes ----------
-app.get('/todos', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const { status, category, priority, dueDate } = req.query;
-
-  let filters = [`user_id = ${userId}`];
-  if (status) filters.push(`status = '${status}'`);
-  if (category) filters.push(`category_id = ${category}`);
-  if (priority) filters.push(`priority = '${priority}'`);
-  if (dueDate) filters.push(`due_date = '${dueDate}'`);
-
-  const whereClause = filters.length ? 'WHERE ' + filters.join(' AND ') : '';
+// Swap a refresh token for a new access token and refresh token. Each refresh token works once.
+app.post('/token/refresh', refreshLimiter, body('refreshToken').isString(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
   try {
-    console.log(`[GET /todos] Querying todos with filters: ${whereClause}`);
-    const todos = await queryPromise(`SELECT * FROM todos ${whereClause}`);
-    const todosWithISTDates = todos.map(todo => {
-      if (todo.due_date) {
-        todo.due_date = moment.utc(todo.due_date).tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
-      }
-      return todo;
-    });
-    console.log(`[GET /todos] Retrieved ${todos.length} todos`);
-    res.json(todosWithISTDates);
+    const tokens = await refreshSession(req.body.refreshToken, { ipAddress: req.ip });
+    if (!tokens) return res.status(401).json({ error: 'Invalid refresh token, please login again' });
+    res.json(tokens);
   } catch (err) {
-    console.error('[GET /todos] Error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Search todos by title (partial match)
-app.get('/todos/search', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const { title } = req.query;
-
-  console.log(`[GET /todos/search] Authenticated user ID: ${userId}`);
-  console.log(`[GET /todos/search] Search title query param: ${title}`);
-
-  if (!title) {
-    console.log('[GET /todos/search] Missing title query parameter');
-    return res.status(400).json({ error: 'Query parameter "title" is required' });
+// ---------- Sessions ----------
+// Devices the user is signed in on
+app.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
+// Sign out every other device
+app.delete('/sessions', authMiddleware, async (req, res) => {
   try {
-    const likeQuery = `%${title}%`;
-    console.log(`[GET /todos/search] Searching todos for user ${userId} with title LIKE: ${likeQuery}`);
-
-    const todos = await queryPromise(
-      'SELECT * FROM todos WHERE user_id = ? AND title LIKE ?',
-      [userId, likeQuery]
-    );
-
-    console.log(`[GET /todos/search] Query returned ${todos.length} todos:`, todos);
-
-    // Convert due_date to IST string if present
-    const todosWithISTDates = todos.map(todo => {
-      if (todo.due_date) {
-        todo.due_date = moment.utc(todo.due_date).tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
-      }
-      return todo;
-    });
-
-    res.json(todosWithISTDates);
+    const revoked = await revokeOtherSessions(req.user.id, req.sessionId);
+    res.json({ message: 'Signed out of other sessions', revoked });
   } catch (err) {
-    console.error('[GET /todos/search] Error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /todos/:id - convert single due_date to IST string
-app.get('/todos/:id', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const todoId = req.params.id;
-
+app.delete('/sessions/:id', authMiddleware, async (req, res) => {
   try {
-    console.log(`[GET /todos/${todoId}] Fetching todo for user ${userId}`);
-    const todos = await queryPromise('SELECT * FROM todos WHERE id = ? AND user_id = ?', [
-      todoId,
-      userId,
-    ]);
-    if (todos.length === 0) {
-      console.log(`[GET /todos/${todoId}] Todo not found`);
-      return res.status(404).json({ error: 'Todo not found' });
-    }
-    const todo = todos[0];
-    if (todo.due_date) {
-      todo.due_date = moment.utc(todo.due_date).tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
-    }
-    console.log(`[GET /todos/${todoId}] Todo found`);
-    res.json(todo);
+    const revoked = await revokeSession(req.user.id, req.params.id, 'revoked');
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.json({ message: 'Session revoked' });
   } catch (err) {
-    console.error(`[GET /todos/${todoId}] Error:`, err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST /todos - convert incoming IST due_date to DB datetime
-app.post('/todos', authMiddleware, body('title').notEmpty(), async (req, res) => {
-  const userId = req.user.id;
+// ---------- Password & Verification ----------
+// Send a password reset code to the account's email, or by SMS when the identifier is a phone
+// number. Responds the same whether or not the account exists.
+app.post('/password/forgot', ...passwordResetLimiters, body('identifier').notEmpty(), async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const { title, description, status, priority, category_id, due_date } = req.body;
-  let dueDateIST = null;
-  if (due_date) dueDateIST = moment.tz(due_date, 'Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
-
+  const { identifier } = req.body;
   try {
-    const result = await queryPromise(
-      `INSERT INTO todos (user_id, title, description, status, priority, category_id, due_date)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [userId, title, description || null, status || 'pending', priority || 'medium', category_id || null, dueDateIST]
-    );
-
-    const todoId = result.insertId;
-    const fcmTokens = await getUserFcmTokens(userId);
-
-    // Send immediate notification
-    await sendPushNotification(fcmTokens, 'Todo Created', `Your todo "${title}" has been created.`);
-
-    // Schedule reminder if due date set
-    if (dueDateIST) {
-      const reminderDateUTC = moment.tz(dueDateIST, 'Asia/Kolkata').toDate();
-      scheduleReminderNotification(todoId, reminderDateUTC, fcmTokens, title);
+    const [user] = await queryPromise('SELECT id, email, phone FROM users WHERE email = ? OR phone = ?', [
+      identifier,
+      identifier,
+    ]);
+    if (user) {
+      const bySms = user.phone === identifier && user.email !== identifier;
+      await sendVerificationCode(user.id, 'password_reset', {
+        channel: bySms ? 'sms' : 'email',
+        target: bySms ? user.phone : user.email,
+      });
     }
-
-    res.status(201).json({ id: todoId, message: 'Todo created' });
+    res.status(202).json({ message: 'If the account exists, a reset code has been sent' });
   } catch (err) {
-    console.error('[POST /todos] Error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// PUT /todos/:id - convert incoming IST due_date to DB datetime format
-app.put('/todos/:id', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const todoId = req.params.id;
-  const { title, description, status, priority, category_id, due_date } = req.body;
-
-  let dueDateIST = null;
-  if (due_date) dueDateIST = moment.tz(due_date, 'Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss');
+// Set a new password with the emailed/texted code; signs the account out everywhere
+app.post(
+  '/password/reset',
+  ...passwordResetLimiters,
+  body('identifier').notEmpty(),
+  body('code').isString().notEmpty(),
+  body('password').isLength({ min: 6 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  try {
-    const results = await queryPromise(
-      `UPDATE todos SET title=?, description=?, status=?, priority=?, category_id=?, due_date=?
-       WHERE id=? AND user_id=?`,
-      [title, description, status, priority, category_id, dueDateIST, todoId, userId]
-    );
+    const { identifier, code, password } = req.body;
+    try {
+      const [user] = await queryPromise('SELECT id FROM users WHERE email = ? OR phone = ?', [identifier, identifier]);
+      if (!user) return res.status(400).json({ error: CODE_ERRORS.invalid });
 
-    if (results.affectedRows === 0) return res.status(404).json({ error: 'Todo not found' });
+      const { status } = await consumeVerificationCode(user.id, 'password_reset', code);
+      if (status !== 'ok') return res.status(400).json({ error: CODE_ERRORS[status] });
 
-    const fcmTokens = await getUserFcmTokens(userId);
+      const hashedPassword = await bcrypt.hash(password, 10);
+      await queryPromise('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+      await revokeOtherSessions(user.id, null, 'password_reset');
+      res.json({ message: 'Password has been reset, please login again' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Change the password while signed in; other devices are signed out
+app.put(
+  '/password',
+  authMiddleware,
+  body('currentPassword').isString(),
+  body('newPassword').isLength({ min: 6 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { currentPassword, newPassword } = req.body;
+    try {
+      const [user] = await queryPromise('SELECT password FROM users WHERE id = ?', [req.user.id]);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const passwordMatch = await bcrypt.compare(currentPassword, user.password);
+      if (!passwordMatch) return res.status(401).json({ error: 'Current password is incorrect' });
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await queryPromise('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, req.user.id]);
+      const revoked = await revokeOtherSessions(req.user.id, req.sessionId, 'password_changed');
+      res.json({ message: 'Password changed', revokedSessions: revoked });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Email and phone verification: POST /verify/{email,phone}/send, then POST /verify/{email,phone} { code }
+const CONTACT_VERIFICATIONS = {
+  email: { purpose: 'email_verification', column: 'email', verifiedColumn: 'email_verified_at', channel: 'email' },
+  phone: { purpose: 'phone_verification', column: 'phone', verifiedColumn: 'phone_verified_at', channel: 'sms' },
+};
+
+for (const [kind, { purpose, column, verifiedColumn, channel }] of Object.entries(CONTACT_VERIFICATIONS)) {
+  app.post(`/verify/${kind}/send`, authMiddleware, verifyLimiter, async (req, res) => {
+    try {
+      const [user] = await queryPromise(
+        `SELECT ${column} AS target, ${verifiedColumn} AS verified_at FROM users WHERE id = ?`,
+        [req.user.id]
+      );
+      if (!user || !user.target) return res.status(400).json({ error: `No ${kind} on this account` });
+      if (user.verified_at) return res.status(409).json({ error: `${kind} is already verified` });
+
+      const sent = await sendVerificationCode(req.user.id, purpose, { channel, target: user.target });
+      if (!sent) return res.status(429).json({ error: 'A code was sent recently, please wait before asking again' });
+      res.status(202).json({ message: 'Verification code sent' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.post(`/verify/${kind}`, authMiddleware, verifyLimiter, body('code').isString().notEmpty(), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { status, target } = await consumeVerificationCode(req.user.id, purpose, req.body.code);
+      if (status !== 'ok') return res.status(400).json({ error: CODE_ERRORS[status] });
+
+      // Only counts if the code went to the address/number the account still has
+      const result = await queryPromise(
+        `UPDATE users SET ${verifiedColumn} = UTC_TIMESTAMP() WHERE id = ? AND ${column} = ?`,
+        [req.user.id, target]
+      );
+      if (result.affectedRows === 0) return res.status(400).json({ error: CODE_ERRORS.invalid });
+      res.json({ message: `${kind} verified` });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+// ---------- Profile ----------
+app.get('/profile', authMiddleware, async (req, res) => {
+  try {
+    const users = await queryPromise(
+      'SELECT id, name, email, email_verified_at, phone, phone_verified_at, timezone, role, created_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    if (users.length === 0) return res.status(404).json({ error: 'User not found' });
+    res.json(users[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put(
+  '/profile',
+  authMiddleware,
+  body('name').optional().notEmpty(),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { name, timezone } = req.body;
+
+    try {
+      await queryPromise(
+        'UPDATE users SET name = COALESCE(?, name), timezone = COALESCE(?, timezone) WHERE id = ?',
+        [name || null, timezone || null, req.user.id]
+      );
+      res.json({ message: 'Profile updated' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// ---------- Notifications ----------
+// The inbox, newest first; ?unread=true for unread ones only
+app.get('/notifications', authMiddleware, async (req, res) => {
+  let page;
+  try {
+    page = parsePage(req.query, { numericCursor: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json(await listNotifications(req.user.id, { ...page, unreadOnly: req.query.unread === 'true' }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/notifications/preferences', authMiddleware, async (req, res) => {
+  try {
+    res.json({ ...(await getNotificationSettings(req.user.id)), types: NOTIFICATION_TYPES });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body { push: { todo_created: false, ... }, quiet_hours: { start: '22:00', end: '07:00' } | null,
+// digest: { enabled: true, time: '07:30' } }; times are in the user's timezone. Quiet hours hold back
+// pushes, not the inbox.
+app.put('/notifications/preferences', authMiddleware, async (req, res) => {
+  let changes;
+  try {
+    changes = parseNotificationSettings(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json(await updateNotificationSettings(req.user.id, changes));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What today's digest would say, whether or not it has been sent or is enabled
+app.get('/notifications/digest/preview', authMiddleware, async (req, res) => {
+  try {
+    const digest = await buildDigest(req.user);
+    res.json({
+      ...digest,
+      today: digest.today.map(todo => withUserDates(todo, req.user.timezone)),
+      overdue: digest.overdue.map(todo => withUserDates(todo, req.user.timezone)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/notifications/read', authMiddleware, async (req, res) => {
+  try {
+    const count = await markAllNotificationsRead(req.user.id);
+    res.json({ message: 'All notifications marked as read', count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/notifications/:id/read', authMiddleware, async (req, res) => {
+  try {
+    if (!(await markNotificationRead(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ message: 'Notification marked as read' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/notifications/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!(await deleteNotification(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ message: 'Notification deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Todos Routes ----------
+function validateTodoFields({ status, priority }) {
+  if (status !== undefined && !TODO_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${TODO_STATUSES.join(', ')}`);
+  }
+  if (priority !== undefined && !TODO_PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of: ${TODO_PRIORITIES.join(', ')}`);
+  }
+}
+
+// Own todos and those in categories shared with the user, as an array. Filters (all optional):
+// status, priority, category (lists, comma-separated; category=none for uncategorised), tags (all must
+// match), assignee=me|none, dueFrom/dueTo, dueDate, due=overdue|today|week|none and q (title and
+// description). Sort with sort=due_date|priority|created_at|updated_at|title and order=asc|desc.
+// Paged only when limit (at most 100) or cursor is given: the cursor for the next page comes in the
+// X-Next-Cursor header, which is absent on the last page.
+app.get('/todos', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+
+  let params;
+  try {
+    params = parseTodoQuery(req.query, req.user.timezone);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { todos, nextCursor } = await searchTodos(userId, params);
+    console.log(`[GET /todos] Retrieved ${todos.length} todos`);
+    const ids = todos.map(todo => todo.id);
+    const [progress, tags] = await Promise.all([subtaskProgress(ids), tagsForTodos(ids)]);
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+    res.json(
+      todos.map(todo => ({
+        ...withUserDates(todo, req.user.timezone),
+        tags: tags.get(todo.id),
+        progress: progress.get(todo.id) || null,
+      }))
+    );
+  } catch (err) {
+    console.error('[GET /todos] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search todos by title (partial match)
+app.get('/todos/search', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const { title } = req.query;
+
+  console.log(`[GET /todos/search] Authenticated user ID: ${userId}`);
+  console.log(`[GET /todos/search] Search title query param: ${title}`);
+
+  if (!title) {
+    console.log('[GET /todos/search] Missing title query parameter');
+    return res.status(400).json({ error: 'Query parameter "title" is required' });
+  }
+
+  try {
+    const likeQuery = `%${title}%`;
+    console.log(`[GET /todos/search] Searching todos for user ${userId} with title LIKE: ${likeQuery}`);
+
+    const visible = visibleTodosClause(userId);
+    const todos = await queryPromise(
+      `SELECT * FROM todos WHERE ${visible.sql} AND title LIKE ?`,
+      [...visible.values, likeQuery]
+    );
+
+    console.log(`[GET /todos/search] Query returned ${todos.length} todos:`, todos);
+
+    // Convert due_date to the user's timezone if present
+    res.json(todos.map(todo => withUserDates(todo, req.user.timezone)));
+  } catch (err) {
+    console.error('[GET /todos/search] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /todos/:id - convert single due_date to the user's timezone
+app.get('/todos/:id', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+
+  try {
+    console.log(`[GET /todos/${todoId}] Fetching todo for user ${userId}`);
+    const access = await getTodoAccess(todoId, userId);
+    if (!access) {
+      console.log(`[GET /todos/${todoId}] Todo not found`);
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+    console.log(`[GET /todos/${todoId}] Todo found`);
+    const [subtasks, progress, dependencies, tags] = await Promise.all([
+      listSubtasks(access.todo.id),
+      subtaskProgress([access.todo.id]),
+      listDependencies(access.todo.id, req.user.id),
+      tagsForTodos([access.todo.id]),
+    ]);
+    res.json({
+      ...withUserDates(access.todo, req.user.timezone),
+      access: access.role,
+      tags: tags.get(access.todo.id),
+      progress: progress.get(access.todo.id) || null,
+      subtasks,
+      blocked_by: dependencies.blocked_by.map(todo => withUserDates(todo, req.user.timezone)),
+    });
+  } catch (err) {
+    console.error(`[GET /todos/${todoId}] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /todos - due_date is entered in the user's timezone and stored as UTC
+app.post('/todos', authMiddleware, body('title').notEmpty(), async (req, res) => {
+  const userId = req.user.id;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { title, description, status, priority, category_id, due_date, reminders, recurrence } = req.body;
+  const assigneeId = req.body.assignee_id || null;
+  if (assigneeId !== null && !Number.isInteger(assigneeId)) {
+    return res.status(400).json({ error: 'assignee_id must be a user id' });
+  }
+
+  let dueDateUTC = null;
+  if (due_date) {
+    dueDateUTC = parseUserDate(due_date, req.user.timezone);
+    if (!dueDateUTC) return res.status(400).json({ error: 'Invalid due_date' });
+  }
+
+  let reminderOffsets = null;
+  let recurrenceRule = null;
+  let tags = [];
+  try {
+    validateTodoFields(req.body);
+    if (reminders !== undefined) reminderOffsets = parseReminderOffsets(reminders);
+    if (recurrence) recurrenceRule = parseRecurrenceInput(recurrence, dueDateUTC);
+    if (req.body.tags !== undefined) tags = parseTagNames(req.body.tags);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    // Adding to a shared category needs editor access to it
+    if (category_id && !canEdit(await getCategoryRole(category_id, userId))) {
+      return res.status(403).json({ error: 'You cannot add todos to this category' });
+    }
+    if (assigneeId && !(await canBeAssigned(category_id, userId, assigneeId))) {
+      return res.status(400).json({ error: 'Todos can only be assigned to collaborators on their category' });
+    }
+
+    const result = await queryPromise(
+      `INSERT INTO todos (user_id, assignee_id, title, description, status, completed_at, priority, category_id,
+                          due_date, recurrence_rule, recurrence_start)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId, assigneeId, title, description || null, status || 'pending',
+        status === 'completed' ? new Date() : null, priority || 'medium', category_id || null, dueDateUTC,
+        recurrenceRule, recurrenceRule ? dueDateUTC : null,
+      ]
+    );
+
+    const todoId = result.insertId;
+    await setTodoTags({ id: todoId, user_id: userId }, tags);
+    if (category_id) {
+      await recordActivity({ categoryId: category_id, todoId, actorId: userId, action: 'todo.created', details: { title } });
+    }
+    await notifyAssignee({ id: todoId, title }, assigneeId, userId);
+    await notifyUser(userId, {
+      type: 'todo_created',
+      title: 'Todo Created',
+      body: `Your todo "${title}" has been created.`,
+      data: { todo_id: todoId },
+    });
+
+    // Use the user's default offsets unless the request lists its own
+    await setTodoReminderOffsets(todoId, reminderOffsets || (await getUserDefaultOffsets(userId)));
+    await syncTodoReminders(todoId);
+
+    res.status(201).json({ id: todoId, message: 'Todo created' });
+  } catch (err) {
+    console.error('[POST /todos] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /todos/:id - due_date is entered in the user's timezone and stored as UTC
+app.put('/todos/:id', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+  const { title, description, status, priority, category_id, due_date, reminders, recurrence } = req.body;
+  const assigneeChanged = req.body.assignee_id !== undefined;
+  const assigneeId = req.body.assignee_id || null;
+  if (assigneeId !== null && !Number.isInteger(assigneeId)) {
+    return res.status(400).json({ error: 'assignee_id must be a user id' });
+  }
+
+  let dueDateUTC = null;
+  if (due_date) {
+    dueDateUTC = parseUserDate(due_date, req.user.timezone);
+    if (!dueDateUTC) return res.status(400).json({ error: 'Invalid due_date' });
+  }
+
+  let reminderOffsets = null;
+  let recurrenceRule = null;
+  let tags = null;
+  try {
+    validateTodoFields(req.body);
+    if (reminders !== undefined) reminderOffsets = parseReminderOffsets(reminders);
+    if (recurrence) recurrenceRule = parseRecurrenceInput(recurrence, dueDateUTC);
+    if (req.body.tags !== undefined) tags = parseTagNames(req.body.tags);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const access = await getTodoAccess(todoId, userId);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    const { todo } = access;
+    if (category_id && category_id !== todo.category_id && !canEdit(await getCategoryRole(category_id, userId))) {
+      return res.status(403).json({ error: 'You cannot move todos to this category' });
+    }
+    if (assigneeId && !(await canBeAssigned(category_id, todo.user_id, assigneeId))) {
+      return res.status(400).json({ error: 'Todos can only be assigned to collaborators on their category' });
+    }
+    if (status === 'completed' && todo.status !== 'completed') {
+      const blockers = await openBlockers(todo.id, userId);
+      if (blockers.length) {
+        return res.status(409).json({
+          error: 'Todo is blocked by unfinished todos',
+          blocked_by: blockers.map(blocker => withUserDates(blocker, req.user.timezone)),
+        });
+      }
+    }
+
+    // Only the request that actually flips the status spawns the next occurrence, as with /complete
+    let completedNow = false;
+    if (status === 'completed') {
+      const flipped = await queryPromise(
+        "UPDATE todos SET status = 'completed', completed_at = UTC_TIMESTAMP() WHERE id = ? AND status <> 'completed'",
+        [todoId]
+      );
+      completedNow = flipped.affectedRows > 0;
+    }
+
+    // Completing keeps the original completion time if it was already completed; reopening clears it
+    await queryPromise(
+      `UPDATE todos SET title=?, description=?, status=?, priority=?, category_id=?, due_date=?,
+         completed_at = IF(? = 'completed', COALESCE(completed_at, UTC_TIMESTAMP()), NULL),
+         version = version + 1
+       WHERE id=?`,
+      [title, description, status, priority, category_id, dueDateUTC, status, todoId]
+    );
+    if (assigneeChanged) {
+      await queryPromise('UPDATE todos SET assignee_id = ? WHERE id = ?', [assigneeId, todoId]);
+    }
+    if (tags) await setTodoTags(todo, tags);
+    await tombstoneTodoMove(todo, { ...todo, category_id: category_id || null });
+
+    // A new rule restarts the series at this due date; recurrence can't outlive the due date
+    if (recurrenceRule) {
+      await queryPromise('UPDATE todos SET recurrence_rule = ?, recurrence_start = ? WHERE id = ?', [
+        recurrenceRule,
+        dueDateUTC,
+        todoId,
+      ]);
+    } else if (recurrence === null || !dueDateUTC) {
+      await queryPromise('UPDATE todos SET recurrence_rule = NULL, recurrence_start = NULL WHERE id = ?', [todoId]);
+    }
+
+    await notifyUser(userId, {
+      type: 'todo_updated',
+      title: 'Todo Updated',
+      body: `Your todo "${title}" has been updated.`,
+      data: { todo_id: todo.id },
+    });
+
+    // Reschedule reminders against the new due date, keeping existing offsets unless replaced
+    if (reminderOffsets) await setTodoReminderOffsets(todoId, reminderOffsets);
+    await syncTodoReminders(todoId);
+
+    // The series continues from the rule as saved by this request
+    let nextTodoId = null;
+    if (completedNow) {
+      const [updated] = await queryPromise('SELECT * FROM todos WHERE id = ?', [todoId]);
+      if (updated && updated.recurrence_rule) nextTodoId = await createNextOccurrence(updated);
+    }
+
+    if (category_id || todo.category_id) {
+      await recordActivity({
+        categoryId: category_id || todo.category_id,
+        todoId: todo.id,
+        actorId: userId,
+        action: 'todo.updated',
+        details: { title },
+      });
+    }
+    if (assigneeChanged && assigneeId !== todo.assignee_id) {
+      await notifyAssignee({ id: todo.id, title }, assigneeId, userId);
+    }
+
+    res.json({ message: 'Todo updated', next_todo_id: nextTodoId });
+  } catch (err) {
+    console.error(`[PUT /todos/${todoId}] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/todos/:id', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+
+  try {
+    const access = await getTodoAccess(todoId, userId);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    await queryPromise('DELETE FROM todos WHERE id = ?', [todoId]);
+    await tombstoneTodo(access.todo);
+    await cancelReminders(todoId);
+
+    if (access.todo.category_id) {
+      await recordActivity({
+        categoryId: access.todo.category_id,
+        actorId: userId,
+        action: 'todo.deleted',
+        details: { title: access.todo.title },
+      });
+    }
+
+    res.json({ message: 'Todo deleted' });
+  } catch (err) {
+    console.error(`[DELETE /todos/${todoId}] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/todos/:id/complete', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+
+  try {
+    console.log(`[POST /todos/${todoId}/complete] Marking todo complete for user ${userId}`);
+    const access = await getTodoAccess(todoId, userId);
+    if (!access) {
+      console.log(`[POST /todos/${todoId}/complete] Todo not found`);
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+    const todo = access.todo;
+    if (!canComplete(access, userId)) {
+      return res.status(403).json({ error: 'You can only view this todo' });
+    }
+    const blockers = await openBlockers(todo.id, userId);
+    if (blockers.length) {
+      return res.status(409).json({
+        error: 'Todo is blocked by unfinished todos',
+        blocked_by: blockers.map(blocker => withUserDates(blocker, req.user.timezone)),
+      });
+    }
+
+    // Only the request that actually flips the status spawns the next occurrence
+    const results = await queryPromise(
+      `UPDATE todos SET status = 'completed', completed_at = UTC_TIMESTAMP(), version = version + 1
+       WHERE id = ? AND status <> 'completed'`,
+      [todoId]
+    );
+    if (results.affectedRows === 0) {
+      return res.json({ message: 'Todo marked as complete' });
+    }
+
+    await syncTodoReminders(todoId);
+
+    if (todo.category_id) {
+      await recordActivity({
+        categoryId: todo.category_id,
+        todoId: todo.id,
+        actorId: userId,
+        action: 'todo.completed',
+        details: { title: todo.title },
+      });
+    }
+
+    let nextTodoId = null;
+    if (todo.recurrence_rule) {
+      nextTodoId = await createNextOccurrence(todo);
+      console.log(`[POST /todos/${todoId}/complete] Next occurrence: ${nextTodoId || 'series ended'}`);
+    }
+
+    console.log(`[POST /todos/${todoId}/complete] Todo marked as complete`);
+    res.json({ message: 'Todo marked as complete', next_todo_id: nextTodoId });
+  } catch (err) {
+    console.error(`[POST /todos/${todoId}/complete] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upcoming due dates of a recurring todo, starting with its own
+app.get('/todos/:id/occurrences', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+  try {
+    const access = await getTodoAccess(todoId, userId);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+
+    const todo = access.todo;
+    if (!todo.recurrence_rule) return res.status(400).json({ error: 'Todo is not recurring' });
+
+    const tz = req.user.timezone;
+    const occurrences = upcomingOccurrences(
+      parseRecurrence(todo.recurrence_rule),
+      toUserMoment(todo.recurrence_start, tz),
+      toUserMoment(todo.due_date, tz),
+      limit
+    );
+    res.json({
+      recurrence: todo.recurrence_rule,
+      occurrences: occurrences.map(occurrence => occurrence.format('YYYY-MM-DD HH:mm:ss')),
+    });
+  } catch (err) {
+    console.error(`[GET /todos/${todoId}/occurrences] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Subtasks ----------
+app.get('/todos/:id/subtasks', authMiddleware, async (req, res) => {
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    res.json(await listSubtasks(access.todo.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/todos/:id/subtasks', authMiddleware, async (req, res) => {
+  let subtask;
+  try {
+    subtask = parseSubtaskInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    const subtaskId = await addSubtask(access.todo.id, subtask);
+    if (!subtaskId) return res.status(400).json({ error: 'Todo has too many subtasks' });
+    res.status(201).json({ id: subtaskId, message: 'Subtask added' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body { ids: [...] } listing every subtask once, in the new order
+app.put('/todos/:id/subtasks/order', authMiddleware, async (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'ids must be an array of subtask ids' });
+  }
+
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    if (!(await reorderSubtasks(access.todo.id, ids))) {
+      return res.status(400).json({ error: 'ids must list every subtask of the todo exactly once' });
+    }
+    res.json(await listSubtasks(access.todo.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The assignee may tick subtasks off even as a viewer, but not rename them
+app.put('/todos/:id/subtasks/:subtaskId', authMiddleware, async (req, res) => {
+  let changes;
+  try {
+    changes = parseSubtaskInput(req.body, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    const allowed = changes.title === undefined ? canComplete(access, req.user.id) : canEdit(access.role);
+    if (!allowed) return res.status(403).json({ error: 'You can only view this todo' });
+
+    const subtask = await updateSubtask(access.todo.id, req.params.subtaskId, changes);
+    if (!subtask) return res.status(404).json({ error: 'Subtask not found' });
+    res.json(subtask);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/todos/:id/subtasks/:subtaskId', authMiddleware, async (req, res) => {
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    if (!(await deleteSubtask(access.todo.id, req.params.subtaskId))) {
+      return res.status(404).json({ error: 'Subtask not found' });
+    }
+    res.json({ message: 'Subtask deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Todo Dependencies ----------
+// The todos blocking this one, and the todos it blocks
+app.get('/todos/:id/dependencies', authMiddleware, async (req, res) => {
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+
+    const { blocked_by, blocking } = await listDependencies(access.todo.id, req.user.id);
+    const tz = req.user.timezone;
+    res.json({
+      blocked_by: blocked_by.map(todo => withUserDates(todo, tz)),
+      blocking: blocking.map(todo => withUserDates(todo, tz)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Marks the todo as blocked by :blockerId; the user needs to be able to edit the todo and see the blocker
+app.put('/todos/:id/dependencies/:blockerId', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const access = await getTodoAccess(req.params.id, userId);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    const blocker = await getTodoAccess(req.params.blockerId, userId);
+    if (!blocker) return res.status(404).json({ error: 'Blocking todo not found' });
+
+    const result = await addDependency(access.todo.id, blocker.todo.id, userId);
+    if (result === 'cycle') {
+      return res.status(409).json({ error: 'That dependency would make the todo block itself' });
+    }
+    if (result === 'exists') return res.json({ message: 'Dependency already exists' });
+
+    if (access.todo.category_id) {
+      await recordActivity({
+        categoryId: access.todo.category_id,
+        todoId: access.todo.id,
+        actorId: userId,
+        action: 'todo.blocked',
+        details: { blocked_by_id: blocker.todo.id, blocked_by_title: blocker.todo.title },
+      });
+    }
+    res.status(201).json({ message: 'Dependency added' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/todos/:id/dependencies/:blockerId', authMiddleware, async (req, res) => {
+  try {
+    const access = await getTodoAccess(req.params.id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'Todo not found' });
+    if (!canEdit(access.role)) return res.status(403).json({ error: 'You can only view this todo' });
+
+    if (!(await removeDependency(access.todo.id, req.params.blockerId))) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+    res.json({ message: 'Dependency removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Tags ----------
+// The user's tags with how many todos carry each; tagging happens through `tags` on the todo itself
+app.get('/tags', authMiddleware, async (req, res) => {
+  try {
+    res.json(await listTags(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/tags/:id', authMiddleware, async (req, res) => {
+  let name;
+  try {
+    name = parseTagName(req.body.name);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    if (!(await renameTag(req.user.id, req.params.id, name))) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    res.json({ message: 'Tag renamed' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'You already have a tag with that name' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Removes the tag from every todo
+app.delete('/tags/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!(await deleteTag(req.user.id, req.params.id))) return res.status(404).json({ error: 'Tag not found' });
+    res.json({ message: 'Tag deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Statistics ----------
+// Created and completed counts per day or week, on-time rates, streaks and breakdowns by category
+// and priority: ?from=2024-05-01&to=2024-05-31&interval=day|week, dates in the user's timezone
+app.get('/stats', authMiddleware, async (req, res) => {
+  let params;
+  try {
+    params = parseStatsQuery(req.query, req.user.timezone);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json(await todoStats(req.user.id, params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Export & Import ----------
+// ?format=json (everything the user owns), csv (one todo per row) or ics (todos with a due date,
+// as VTODO entries, or VEVENT with &component=vevent, with an alarm per reminder)
+app.get('/export', authMiddleware, async (req, res) => {
+  const format = req.query.format || 'json';
+  const component = req.query.component || 'vtodo';
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${ARCHIVE_FORMATS.join(', ')}` });
+  }
+  if (!ICAL_COMPONENTS.includes(component)) {
+    return res.status(400).json({ error: `component must be one of: ${ICAL_COMPONENTS.join(', ')}` });
+  }
+
+  try {
+    const archive = await loadArchive(req.user.id);
+    const filename = `assister-export-${moment.tz(req.user.timezone).format('YYYY-MM-DD')}.${format}`;
+    res.attachment(filename);
+    if (format === 'csv') return res.type('text/csv; charset=utf-8').send(archiveToCsv(archive));
+    if (format === 'ics') return res.type('text/calendar; charset=utf-8').send(archiveToIcs(archive, component));
+    res.json(archive);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A JSON body (an archive from GET /export or an array of todos), or a CSV or iCalendar file sent
+// as text/csv or text/calendar. ?on_conflict=skip|duplicate decides what happens to todos with the
+// same title and due date as an existing one; ?dry_run=true reports without importing.
+app.post(
+  '/import',
+  authMiddleware,
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/calendar', 'text/plain'], limit: IMPORT_BODY_LIMIT }),
+  async (req, res) => {
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : req.is('text/calendar') ? 'ics' : 'json');
+    const onConflict = req.query.on_conflict || 'skip';
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({ error: `on_conflict must be one of: ${CONFLICT_MODES.join(', ')}` });
+    }
+
+    let data;
+    try {
+      data = parseImport(req.body, format, req.user.timezone);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const report = await importTodos(req.user, data, { dryRun: req.query.dry_run === 'true', onConflict });
+      console.log(`[POST /import] User ${req.user.id} imported ${report.imported} todos from ${format}`);
+      res.status(report.dry_run || report.imported === 0 ? 200 : 201).json(report);
+    } catch (err) {
+      console.error('[POST /import] Error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// ---------- Calendar Feed ----------
+function calendarFeedUrls(req, token, options) {
+  const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base.replace(/\/$/, '')}/calendar/${token}.ics${feedQueryString(options)}`;
+  return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+}
+
+app.get('/calendar/feed', authMiddleware, async (req, res) => {
+  try {
+    const feed = await getCalendarFeed(req.user.id);
+    if (!feed) return res.status(404).json({ error: 'No calendar feed; create one with POST /calendar/feed' });
+    res.json({ active: true, ...feed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Creates the feed, or regenerates it so the old URL stops working. Body (all optional): status,
+// category, priority, tags and assignee as for GET /todos, and component=vevent|vtodo. The URL is
+// only shown here; the server keeps just a hash of its token.
+app.post('/calendar/feed', authMiddleware, async (req, res) => {
+  let options;
+  try {
+    options = parseFeedOptions(req.body, req.user.timezone);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const token = await createCalendarFeed(req.user.id);
+    res.status(201).json({ message: 'Calendar feed created', ...calendarFeedUrls(req, token, options) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/calendar/feed', authMiddleware, async (req, res) => {
+  try {
+    if (!(await revokeCalendarFeed(req.user.id))) return res.status(404).json({ error: 'No calendar feed' });
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Public route: the feed itself, for calendar apps; the token in the URL is the only credential
+app.get('/calendar/:token.ics', calendarFeedLimiter, async (req, res) => {
+  try {
+    const user = await findFeedOwner(req.params.token);
+    if (!user) return res.status(404).json({ error: 'Calendar feed not found' });
+
+    let options;
+    try {
+      options = parseFeedOptions(req.query, user.timezone);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8').send(await renderCalendarFeed(user, options));
+  } catch (err) {
+    console.error('[GET /calendar/:token.ics] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Sync ----------
+// Changes since ?since= (the serverTime of the previous sync), or everything without it. A client
+// that last synced too long ago gets 410 and should discard its copy and sync from scratch.
+app.get('/sync', authMiddleware, async (req, res) => {
+  let since;
+  try {
+    since = parseSince(req.query.since);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (since === 'expired') {
+    return res
+      .status(410)
+      .json({ error: 'Too long since the last sync; sync again without since', code: 'SYNC_RESET' });
+  }
+
+  try {
+    res.json(await changesSince(req.user, since));
+  } catch (err) {
+    console.error('[GET /sync] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body { mutations: [{ op, entity, id | client_id, base_version?, updated_at?, force?, data }] }.
+// Responds with each mutation's outcome and the server's copy of the record, plus changes since
+// ?since= when given.
+app.post('/sync', authMiddleware, async (req, res) => {
+  let mutations;
+  let since;
+  try {
+    mutations = parseMutations(req.body.mutations);
+    since = parseSince(req.query.since);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const results = await applyMutations(req.user, mutations, { hooks: syncHooks(req.user) });
+    const changes = since && since !== 'expired' ? await changesSince(req.user, since) : null;
+    res.json({ results, changes });
+  } catch (err) {
+    console.error('[POST /sync] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const SYNC_ACTIVITY = { create: 'todo.created', update: 'todo.updated', delete: 'todo.deleted' };
+
+// What the /todos routes do besides writing the row, for todo changes that arrive through POST /sync
+function syncHooks(user) {
+  return {
+    async onTodoChange(op, before, after) {
+      const todo = after || before;
+      if (op === 'delete') {
+        await cancelReminders(todo.id);
+      } else {
+        if (op === 'create') await setTodoReminderOffsets(todo.id, await getUserDefaultOffsets(user.id));
+        await syncTodoReminders(todo.id);
+      }
+
+      const completed = op === 'update' && todo.status === 'completed' && before.status !== 'completed';
+      if (todo.category_id) {
+        await recordActivity({
+          categoryId: todo.category_id,
+          todoId: op === 'delete' ? null : todo.id,
+          actorId: user.id,
+          action: completed ? 'todo.completed' : SYNC_ACTIVITY[op],
+          details: { title: todo.title },
+        });
+      }
+      if (after && after.assignee_id !== (before ? before.assignee_id : null)) {
+        await notifyAssignee(after, after.assignee_id, user.id);
+      }
+      if (completed && todo.recurrence_rule) await createNextOccurrence(todo);
+    },
+  };
+}
+
+// ---------- Recurrence ----------
+// Validates the recurrence from a request body and returns it as an RRULE string
+function parseRecurrenceInput(recurrence, dueDate) {
+  if (!dueDate) throw new Error('Recurring todos need a due_date');
+  return formatRecurrence(parseRecurrence(recurrence));
+}
+
+// Creates the todo for the occurrence after this one, or returns null when the series has ended.
+// Occurrences are computed in the owner's timezone, whoever completed the todo, so they keep the
+// same local time of day and weekday.
+async function createNextOccurrence(todo) {
+  const [owner] = await queryPromise('SELECT timezone FROM users WHERE id = ?', [todo.user_id]);
+  const tz = (owner && owner.timezone) || DEFAULT_TIMEZONE;
+  const rule = parseRecurrence(todo.recurrence_rule);
+  const currentDue = toUserMoment(todo.due_date, tz);
+  // Completing late skips the occurrences that are already in the past
+  const after = moment.max(currentDue, moment.tz(tz));
+  const next = nextOccurrence(rule, toUserMoment(todo.recurrence_start, tz), after);
+  if (!next) return null;
+
+  const result = await queryPromise(
+    `INSERT INTO todos (user_id, assignee_id, title, description, status, priority, category_id, due_date,
+                        recurrence_rule, recurrence_start)
+     VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`,
+    [
+      todo.user_id, todo.assignee_id, todo.title, todo.description, todo.priority, todo.category_id,
+      next.toDate(), todo.recurrence_rule, todo.recurrence_start,
+    ]
+  );
+
+  const nextTodoId = result.insertId;
+  await queryPromise(
+    `INSERT INTO todo_reminder_offsets (todo_id, offset_minutes)
+     SELECT ?, offset_minutes FROM todo_reminder_offsets WHERE todo_id = ?`,
+    [nextTodoId, todo.id]
+  );
+  await copySubtasks(todo.id, nextTodoId);
+  await copyTodoTags(todo.id, nextTodoId);
+  await syncTodoReminders(nextTodoId);
+  return nextTodoId;
+}
+
+// ---------- Todo Reminders ----------
+async function findOwnedTodo(todoId, userId) {
+  const todos = await queryPromise('SELECT * FROM todos WHERE id = ? AND user_id = ?', [todoId, userId]);
+  return todos[0] || null;
+}
+
+function parseSingleOffset(req, res) {
+  try {
+    const [offset] = parseReminderOffsets([req.body.offset]);
+    return offset;
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+async function listTodoReminders(todo, tz) {
+  const offsets = await queryPromise(
+    'SELECT id, offset_minutes FROM todo_reminder_offsets WHERE todo_id = ? ORDER BY offset_minutes DESC',
+    [todo.id]
+  );
+  return offsets.map(({ id, offset_minutes }) => ({
+    id,
+    offset_minutes,
+    label: formatReminderOffset(offset_minutes),
+    remind_at: todo.due_date
+      ? toUserMoment(todo.due_date, tz).subtract(offset_minutes, 'minutes').format('YYYY-MM-DD HH:mm:ss')
+      : null,
+  }));
+}
+
+app.get('/todos/:id/reminders', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+
+  try {
+    const todo = await findOwnedTodo(todoId, userId);
+    if (!todo) return res.status(404).json({ error: 'Todo not found' });
+    res.json(await listTodoReminders(todo, req.user.timezone));
+  } catch (err) {
+    console.error(`[GET /todos/${todoId}/reminders] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/todos/:id/reminders', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const todoId = req.params.id;
+  const offset = parseSingleOffset(req, res);
+  if (offset === null) return;
+
+  try {
+    const todo = await findOwnedTodo(todoId, userId);
+    if (!todo) return res.status(404).json({ error: 'Todo not found' });
+
+    const [{ count }] = await queryPromise('SELECT COUNT(*) AS count FROM todo_reminder_offsets WHERE todo_id = ?', [
+      todoId,
+    ]);
+    if (count >= MAX_OFFSETS_PER_TODO) {
+      return res.status(400).json({ error: `At most ${MAX_OFFSETS_PER_TODO} reminders are allowed` });
+    }
 
-    // Immediate notification
-    await sendPushNotification(fcmTokens, 'Todo Updated', `Your todo "${title}" has been updated.`);
+    const result = await queryPromise(
+      'INSERT IGNORE INTO todo_reminder_offsets (todo_id, offset_minutes) VALUES (?, ?)',
+      [todoId, offset]
+    );
+    if (result.affectedRows === 0) return res.status(409).json({ error: 'Reminder already exists' });
 
-    // Cancel existing reminder
-    cancelReminderNotification(todoId);
+    await syncTodoReminders(todoId);
+    res.status(201).json({ id: result.insertId, message: 'Reminder created' });
+  } catch (err) {
+    console.error(`[POST /todos/${todoId}/reminders] Error:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Schedule new reminder if set
-    if (dueDateIST) {
-      const reminderDateUTC = moment.tz(dueDateIST, 'Asia/Kolkata').toDate();
-      scheduleReminderNotification(todoId, reminderDateUTC, fcmTokens, title);
-    }
+app.put('/todos/:id/reminders/:reminderId', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const { id: todoId, reminderId } = req.params;
+  const offset = parseSingleOffset(req, res);
+  if (offset === null) return;
 
-    res.json({ message: 'Todo updated' });
+  try {
+    const todo = await findOwnedTodo(todoId, userId);
+    if (!todo) return res.status(404).json({ error: 'Todo not found' });
+
+    const results = await queryPromise(
+      'UPDATE todo_reminder_offsets SET offset_minutes = ? WHERE id = ? AND todo_id = ?',
+      [offset, reminderId, todoId]
+    );
+    if (results.affectedRows === 0) return res.status(404).json({ error: 'Reminder not found' });
+
+    await syncTodoReminders(todoId);
+    res.json({ message: 'Reminder updated' });
   } catch (err) {
-    console.error(`[PUT /todos/${todoId}] Error:`, err.message);
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Reminder already exists' });
+    console.error(`[PUT /todos/${todoId}/reminders/${reminderId}] Error:`, err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete('/todos/:id', authMiddleware, async (req, res) => {
+app.delete('/todos/:id/reminders/:reminderId', authMiddleware, async (req, res) => {
   const userId = req.user.id;
-  const todoId = req.params.id;
+  const { id: todoId, reminderId } = req.params;
 
   try {
-    const results = await queryPromise('DELETE FROM todos WHERE id = ? AND user_id = ?', [todoId, userId]);
-    if (results.affectedRows === 0) return res.status(404).json({ error: 'Todo not found' });
+    const todo = await findOwnedTodo(todoId, userId);
+    if (!todo) return res.status(404).json({ error: 'Todo not found' });
 
-    cancelReminderNotification(todoId);
+    const results = await queryPromise(
+      'DELETE FROM todo_reminder_offsets WHERE id = ? AND todo_id = ?',
+      [reminderId, todoId]
+    );
+    if (results.affectedRows === 0) return res.status(404).json({ error: 'Reminder not found' });
 
-    res.json({ message: 'Todo deleted' });
+    await syncTodoReminders(todoId);
+    res.json({ message: 'Reminder deleted' });
   } catch (err) {
-    console.error(`[DELETE /todos/${todoId}] Error:`, err.message);
+    console.error(`[DELETE /todos/${todoId}/reminders/${reminderId}] Error:`, err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/todos/:id/complete', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const todoId = req.params.id;
+// Default offsets applied to new todos that don't specify their own reminders
+app.get('/reminders/defaults', authMiddleware, async (req, res) => {
+  try {
+    const offsets = await getUserDefaultOffsets(req.user.id);
+    res.json(offsets.map(offset_minutes => ({ offset_minutes, label: formatReminderOffset(offset_minutes) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+app.put('/reminders/defaults', authMiddleware, async (req, res) => {
+  let offsets;
   try {
-    console.log(`[POST /todos/${todoId}/complete] Marking todo complete for user ${userId}`);
-    const results = await queryPromise('UPDATE todos SET status = ? WHERE id = ? AND user_id = ?', [
-      'completed',
-      todoId,
-      userId,
-    ]);
+    offsets = parseReminderOffsets(req.body.offsets);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    if (results.affectedRows === 0) {
-      console.log(`[POST /todos/${todoId}/complete] Todo not found`);
-      return res.status(404).json({ error: 'Todo not found' });
+  try {
+    await setUserDefaultOffsets(req.user.id, offsets);
+    res.json({ message: 'Default reminders updated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Playlists ----------
+app.get('/playlists', authMiddleware, async (req, res) => {
+  try {
+    res.json(await listPlaylists(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/playlists', authMiddleware, async (req, res) => {
+  let playlist;
+  try {
+    playlist = parsePlaylistInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const id = await createPlaylist(req.user.id, playlist);
+    res.status(201).json({ id, message: 'Playlist created' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/playlists/:id', authMiddleware, async (req, res) => {
+  try {
+    const playlist = await getOwnedPlaylist(req.user.id, req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    res.json({ ...playlist, songs: await getPlaylistItems(playlist.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename or change the description
+app.put('/playlists/:id', authMiddleware, async (req, res) => {
+  let changes;
+  try {
+    changes = parsePlaylistInput(req.body, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const updated = await updatePlaylist(req.user.id, req.params.id, changes);
+    if (!updated) return res.status(404).json({ error: 'Playlist not found' });
+    res.json({ message: 'Playlist updated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/playlists/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await deletePlaylist(req.user.id, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Playlist not found' });
+    res.json({ message: 'Playlist deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add songs: { songId } or { songIds: [...] }, optionally at a 0-based position (default: the end)
+app.post('/playlists/:id/items', authMiddleware, async (req, res) => {
+  let songIds;
+  try {
+    songIds = parseSongIds(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { position = null } = req.body;
+  if (position !== null && !(Number.isInteger(position) && position >= 0)) {
+    return res.status(400).json({ error: 'position must be a non-negative integer' });
+  }
+
+  try {
+    const playlist = await getOwnedPlaylist(req.user.id, req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+    const missing = await findMissingSongs(songIds);
+    if (missing.length) return res.status(400).json({ error: `Unknown song ids: ${missing.join(', ')}` });
+
+    const itemIds = await addPlaylistItems(playlist.id, songIds, position);
+    if (!itemIds) return res.status(400).json({ error: 'Playlist is full' });
+    res.status(201).json({ itemIds, message: 'Songs added' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// New order for the whole playlist: { itemIds: [...] } listing every item once
+app.put('/playlists/:id/items/order', authMiddleware, async (req, res) => {
+  const { itemIds } = req.body;
+  if (!Array.isArray(itemIds) || !itemIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'itemIds must be an array of item ids' });
+  }
+
+  try {
+    const playlist = await getOwnedPlaylist(req.user.id, req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+    const reordered = await reorderPlaylistItems(playlist.id, itemIds);
+    if (!reordered) {
+      return res.status(400).json({ error: 'itemIds must contain every item of the playlist exactly once' });
     }
-    console.log(`[POST /todos/${todoId}/complete] Todo marked as complete`);
-    res.json({ message: 'Todo marked as complete' });
+    res.json({ message: 'Playlist reordered' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/playlists/:id/items/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const playlist = await getOwnedPlaylist(req.user.id, req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+    const removed = await removePlaylistItem(playlist.id, req.params.itemId);
+    if (!removed) return res.status(404).json({ error: 'Item not found' });
+    res.json({ message: 'Song removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Share link for GET /public/playlists/:shareToken; calling it again returns the same link
+app.post('/playlists/:id/share', authMiddleware, async (req, res) => {
+  try {
+    const playlist = await getOwnedPlaylist(req.user.id, req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+    const shareToken = await sharePlaylist(playlist);
+    res.json({ shareToken, url: `/public/playlists/${shareToken}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/playlists/:id/share', authMiddleware, async (req, res) => {
+  try {
+    const playlist = await getOwnedPlaylist(req.user.id, req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+    await unsharePlaylist(playlist.id);
+    res.json({ message: 'Playlist is no longer shared' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Favourites ----------
+app.get('/favourites', authMiddleware, async (req, res) => {
+  let page;
+  try {
+    page = parsePage(req.query, { numericCursor: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json(await listFavourites(req.user.id, page));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/favourites/:songId', authMiddleware, async (req, res) => {
+  const songId = Number(req.params.songId);
+
+  try {
+    if (!Number.isInteger(songId) || (await findMissingSongs([songId])).length) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    const added = await addFavourite(req.user.id, songId);
+    res.status(added ? 201 : 200).json({ message: added ? 'Added to favourites' : 'Already a favourite' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/favourites/:songId', authMiddleware, async (req, res) => {
+  try {
+    const removed = await removeFavourite(req.user.id, req.params.songId);
+    if (!removed) return res.status(404).json({ error: 'Not a favourite' });
+    res.json({ message: 'Removed from favourites' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Listening History ----------
+// Log a play: { songId, position (seconds reached), outcome: completed | skipped | partial }
+app.post('/plays', authMiddleware, async (req, res) => {
+  let play;
+  try {
+    play = parsePlayEvent(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    if ((await findMissingSongs([play.songId])).length) return res.status(404).json({ error: 'Song not found' });
+    const id = await recordPlay(req.user.id, play);
+    res.status(201).json({ id, message: 'Play recorded' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/plays/recent', authMiddleware, async (req, res) => {
+  let limit;
+  try {
+    limit = parseLimit(req.query.limit);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const songs = await recentlyPlayed(req.user.id, limit);
+    res.json(songs.map(song => ({ ...song, last_played_at: formatUserDate(song.last_played_at, req.user.timezone) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Most played songs, all time or over the last ?days=
+app.get('/plays/top', authMiddleware, async (req, res) => {
+  let limit;
+  try {
+    limit = parseLimit(req.query.limit);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const days = req.query.days === undefined ? null : Number(req.query.days);
+  if (days !== null && !(Number.isInteger(days) && days > 0 && days <= 3650)) {
+    return res.status(400).json({ error: 'days must be a whole number of days' });
+  }
+
+  try {
+    const songs = await mostPlayed(req.user.id, { limit, days });
+    res.json(songs.map(song => ({ ...song, last_played_at: formatUserDate(song.last_played_at, req.user.timezone) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unplayed songs that share artists, composers, movie, year or language with what the user plays
+app.get('/recommendations', authMiddleware, async (req, res) => {
+  let limit;
+  try {
+    limit = parseLimit(req.query.limit);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json(await recommendSongs(req.user.id, limit));
   } catch (err) {
-    console.error(`[POST /todos/${todoId}/complete] Error:`, err.message);
     res.status(500).json({ error: err.message });
   }
 });
@@ -549,8 +2366,7 @@ app.get('/categories', authMiddleware, async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const categories = await queryPromise('SELECT * FROM categories WHERE user_id = ?', [userId]);
-    res.json(categories);
+    res.json(await listCategories(userId));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -580,11 +2396,10 @@ app.put('/categories/:id', authMiddleware, async (req, res) => {
   const { name } = req.body;
 
   try {
-    const results = await queryPromise('UPDATE categories SET name = ? WHERE id = ? AND user_id = ?', [
-      name,
-      categoryId,
-      userId,
-    ]);
+    const results = await queryPromise(
+      'UPDATE categories SET name = ?, version = version + 1 WHERE id = ? AND user_id = ?',
+      [name, categoryId, userId]
+    );
     if (results.affectedRows === 0) return res.status(404).json({ error: 'Category not found' });
     res.json({ message: 'Category updated' });
   } catch (err) {
@@ -597,21 +2412,141 @@ app.delete('/categories/:id', authMiddleware, async (req, res) => {
   const categoryId = req.params.id;
 
   try {
-    const results = await queryPromise('DELETE FROM categories WHERE id = ? AND user_id = ?', [
-      categoryId,
-      userId,
-    ]);
-    if (results.affectedRows === 0) return res.status(404).json({ error: 'Category not found' });
+    if ((await getCategoryRole(categoryId, userId)) !== 'owner') {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (!(await deleteCategory(categoryId))) return res.status(404).json({ error: 'Category not found' });
     res.json({ message: 'Category deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ---------- Category Sharing ----------
+app.get('/categories/:id/members', authMiddleware, async (req, res) => {
+  try {
+    if (!(await getCategoryRole(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    res.json(await listMembers(req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Only the owner invites; body { identifier: email or phone, role: 'viewer' | 'editor' }
+app.post('/categories/:id/members', authMiddleware, body('identifier').notEmpty(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const categoryId = req.params.id;
+  const role = req.body.role || 'viewer';
+  if (!MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${MEMBER_ROLES.join(', ')}` });
+  }
+
+  try {
+    if ((await getCategoryRole(categoryId, req.user.id)) !== 'owner') {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    const member = await findUserByIdentifier(req.body.identifier);
+    if (!member) return res.status(404).json({ error: 'No user with that email or phone' });
+    if (member.id === req.user.id) return res.status(400).json({ error: 'You already own this category' });
+
+    await addMember(categoryId, member.id, role, req.user.id);
+
+    await recordActivity({
+      categoryId,
+      actorId: req.user.id,
+      action: 'member.added',
+      details: { user_id: member.id, name: member.name, role },
+    });
+    const [category] = await queryPromise('SELECT name FROM categories WHERE id = ?', [categoryId]);
+    await notifyUser(member.id, {
+      type: 'list_shared',
+      title: 'List shared with you',
+      body: `The list "${category.name}" was shared with you.`,
+      data: { category_id: Number(categoryId) },
+    });
+
+    res.status(201).json({ user_id: member.id, name: member.name, email: member.email, role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/categories/:id/members/:userId', authMiddleware, async (req, res) => {
+  const { id: categoryId, userId } = req.params;
+  const { role } = req.body;
+  if (!MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${MEMBER_ROLES.join(', ')}` });
+  }
+
+  try {
+    if ((await getCategoryRole(categoryId, req.user.id)) !== 'owner') {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (!(await updateMemberRole(categoryId, userId, role))) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    await recordActivity({
+      categoryId,
+      actorId: req.user.id,
+      action: 'member.role_changed',
+      details: { user_id: Number(userId), role },
+    });
+    res.json({ message: 'Member role updated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The owner removes a member, or a member leaves
+app.delete('/categories/:id/members/:userId', authMiddleware, async (req, res) => {
+  const { id: categoryId } = req.params;
+  const memberId = Number(req.params.userId);
+
+  try {
+    const role = await getCategoryRole(categoryId, req.user.id);
+    if (!role) return res.status(404).json({ error: 'Category not found' });
+    if (role !== 'owner' && memberId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the owner can remove other members' });
+    }
+    if (!(await removeMember(categoryId, memberId))) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    await tombstoneCategoryAccess(categoryId, memberId);
+    await recordActivity({
+      categoryId,
+      actorId: req.user.id,
+      action: memberId === req.user.id ? 'member.left' : 'member.removed',
+      details: { user_id: memberId },
+    });
+    res.json({ message: 'Member removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Changes to todos in shared categories, newest first; ?categoryId= narrows it to one category
+app.get('/activity', authMiddleware, async (req, res) => {
+  let page;
+  try {
+    page = parsePage(req.query, { numericCursor: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json(await listActivity(req.user.id, { ...page, categoryId: req.query.categoryId || null }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.post('/logout', authMiddleware, async (req, res) => {
   try {
-    await queryPromise('DELETE FROM user_tokens WHERE user_id = ? AND token = ?', [req.user.id, req.token]);
-    await queryPromise('DELETE FROM user_fcm_tokens WHERE user_id = ?', [req.user.id]);
+    await revokeSession(req.user.id, req.sessionId);
     res.json({ message: 'Successfully logged out' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1,28 +1,25 @@
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived; clients renew them with their session's refresh token
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+
 // Get secret at runtime
 function getSecret() {
   if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET not set');
   return process.env.JWT_SECRET;
 }
 
-// Generate token with very long expiration (365 days)
-function generateToken(user) {
-  const secret = getSecret();
-  const token = jwt.sign({ id: user.id, email: user.email }, secret, { expiresIn: '365d' });
-  console.log('Generated JWT token:', token);
-  return token;
+// Access token for one session (sid); authMiddleware also checks the session is still active
+// and reads the current role and status from the database
+function generateAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, email: user.email, role: user.role || 'user', sid: sessionId }, getSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
 }
 
-// Verify token ignoring expiration (DB controls validity)
-function verifyToken(token) {
-  try {
-    const secret = getSecret();
-    return jwt.verify(token, secret, { ignoreExpiration: true });
-  } catch (err) {
-    console.error('JWT verification failed in verifyToken():', err.message);
-    return null;
-  }
+// Throws jsonwebtoken's errors (TokenExpiredError, JsonWebTokenError) for invalid tokens
+function verifyAccessToken(token) {
+  return jwt.verify(token, getSecret());
 }
 
-module.exports = { generateToken, verifyToken };
+module.exports = { ACCESS_TOKEN_TTL_SECONDS, generateAccessToken, verifyAccessToken };
@@ -0,0 +1,131 @@
+// Subscribable calendar feeds. Each user can have one secret feed URL that calendar apps poll
+// without an Authorization header; only a hash of its token is stored. Regenerating the feed
+// replaces the token, so old URLs stop working, and revoking it removes it.
+//
+// The feed lists the todos the user can see that have a due date, filtered with the same
+// parameters (and timezone handling) as GET /todos.
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const pool = require('./db');
+const { ICAL_COMPONENTS, buildCalendar } = require('./ical');
+const { parseTodoQuery, listDatedTodos } = require('./todoSearch');
+const { tagsForTodos } = require('./tags');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+// GET /todos filters a feed URL may carry
+const FEED_FILTERS = ['status', 'category', 'priority', 'tags', 'assignee'];
+// Calendar apps only show events; VTODO is there for the apps that have task lists
+const DEFAULT_FEED_COMPONENT = 'vevent';
+// Todos due longer ago than this are left out
+const FEED_PAST_DAYS = Number(process.env.CALENDAR_FEED_PAST_DAYS || 180);
+const MAX_FEED_TODOS = 2000;
+
+// Also keys the feed's rate limit, so the token itself never reaches the limiter's store or logs
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// { created_at, last_accessed_at }, or null when the user has no feed
+async function getCalendarFeed(userId) {
+  const rows = await queryPromise('SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_id = ?', [
+    userId,
+  ]);
+  return rows[0] || null;
+}
+
+// Creates the user's feed, or replaces its token; returns the new token
+async function createCalendarFeed(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await queryPromise(
+    `INSERT INTO calendar_feeds (user_id, token_hash) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = UTC_TIMESTAMP(), last_accessed_at = NULL`,
+    [userId, hashToken(token)]
+  );
+  return token;
+}
+
+async function revokeCalendarFeed(userId) {
+  const result = await queryPromise('DELETE FROM calendar_feeds WHERE user_id = ?', [userId]);
+  return result.affectedRows > 0;
+}
+
+// The active user the token belongs to, or null
+async function findFeedOwner(token) {
+  const rows = await queryPromise(
+    `SELECT u.id, u.name, u.timezone FROM calendar_feeds f JOIN users u ON u.id = f.user_id
+     WHERE f.token_hash = ? AND u.status = 'active'`,
+    [hashToken(token)]
+  );
+  if (rows.length === 0) return null;
+  await queryPromise('UPDATE calendar_feeds SET last_accessed_at = UTC_TIMESTAMP() WHERE user_id = ?', [rows[0].id]);
+  return rows[0];
+}
+
+// Validates feed options (FEED_FILTERS plus component=vevent|vtodo) from a feed URL's query string
+// or a request body. Throws with a client-facing message on bad input.
+function parseFeedOptions(input, tz) {
+  const component = input.component === undefined ? DEFAULT_FEED_COMPONENT : String(input.component);
+  if (!ICAL_COMPONENTS.includes(component)) {
+    throw new Error(`component must be one of: ${ICAL_COMPONENTS.join(', ')}`);
+  }
+
+  const query = {};
+  for (const name of FEED_FILTERS) {
+    if (input[name] === undefined) continue;
+    query[name] = Array.isArray(input[name]) ? input[name].join(',') : String(input[name]);
+  }
+  return { component, query, filters: parseTodoQuery(query, tz) };
+}
+
+// The query string that goes on the feed URL for these options
+function feedQueryString({ component, query }) {
+  const params = new URLSearchParams(query);
+  if (component !== DEFAULT_FEED_COMPONENT) params.set('component', component);
+  const text = params.toString();
+  return text ? `?${text}` : '';
+}
+
+async function renderCalendarFeed(user, { component, filters }) {
+  const since = moment.tz(user.timezone).startOf('day').subtract(FEED_PAST_DAYS, 'days').toDate();
+  const todos = await listDatedTodos(
+    user.id,
+    { ...filters, dueFrom: filters.dueFrom && filters.dueFrom > since ? filters.dueFrom : since },
+    MAX_FEED_TODOS
+  );
+
+  const ids = todos.map(todo => todo.id);
+  const categoryIds = [...new Set(todos.map(todo => todo.category_id).filter(Boolean))];
+  const [tags, offsets, categories] = await Promise.all([
+    tagsForTodos(ids),
+    ids.length
+      ? queryPromise('SELECT todo_id, offset_minutes FROM todo_reminder_offsets WHERE todo_id IN (?)', [ids])
+      : [],
+    categoryIds.length ? queryPromise('SELECT id, name FROM categories WHERE id IN (?)', [categoryIds]) : [],
+  ]);
+  const reminders = new Map(ids.map(id => [id, []]));
+  for (const row of offsets) reminders.get(row.todo_id).push(row.offset_minutes);
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+  return buildCalendar(
+    todos.map(todo => ({
+      ...todo,
+      category_name: categoryNames.get(todo.category_id) || null,
+      tags: tags.get(todo.id),
+      reminders: reminders.get(todo.id),
+    })),
+    { name: user.name ? `${user.name}'s todos` : 'Todos', timezone: user.timezone, component }
+  );
+}
+
+module.exports = {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  hashToken,
+  findFeedOwner,
+  parseFeedOptions,
+  feedQueryString,
+  renderCalendarFeed,
+};
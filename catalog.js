@@ -0,0 +1,202 @@
+const pool = require('./db');
+
+const defaultDb = {
+  query: (sql, params = []) => pool.query(sql, params).then(([rows]) => rows),
+};
+
+// Browsable catalog entities. Artists and composers link to songs through a join table,
+// movies and labels through a column on songs.
+const CATALOG_ENTITIES = {
+  artists: { table: 'artists', linkTable: 'song_artists', linkColumn: 'artist_id' },
+  composers: { table: 'composers', linkTable: 'song_composers', linkColumn: 'composer_id' },
+  movies: { table: 'movies', songColumn: 'movie_id' },
+  labels: { table: 'labels', songColumn: 'label_id' },
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// "Charan Raj, Nagarjun Sharma" -> ['Charan Raj', 'Nagarjun Sharma'], without case-insensitive duplicates
+function splitNames(value) {
+  if (!value) return [];
+  const seen = new Set();
+  return String(value)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Returns the id of the row with this name, creating it if needed
+async function upsertByName(table, name, db, extra = {}) {
+  const columns = ['name', ...Object.keys(extra)];
+  const result = await db.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [name, ...Object.values(extra)]
+  );
+  return result.insertId;
+}
+
+// Points a song at its artists, composers, movie and label, based on its string columns
+async function linkSongEntities(songId, song, db = defaultDb) {
+  await db.query('DELETE FROM song_artists WHERE song_id = ?', [songId]);
+  const artists = splitNames(song.artist);
+  for (const [position, name] of artists.entries()) {
+    const artistId = await upsertByName('artists', name, db);
+    await db.query('INSERT IGNORE INTO song_artists (song_id, artist_id, position) VALUES (?, ?, ?)', [
+      songId,
+      artistId,
+      position,
+    ]);
+  }
+
+  await db.query('DELETE FROM song_composers WHERE song_id = ?', [songId]);
+  const composers = splitNames(song.composers);
+  for (const [position, name] of composers.entries()) {
+    const composerId = await upsertByName('composers', name, db);
+    await db.query('INSERT IGNORE INTO song_composers (song_id, composer_id, position) VALUES (?, ?, ?)', [
+      songId,
+      composerId,
+      position,
+    ]);
+  }
+
+  const movie = song.movie && song.movie.trim();
+  const label = song.label && song.label.trim();
+  const movieId = movie ? await upsertByName('movies', movie, db, { year: song.year || null }) : null;
+  const labelId = label ? await upsertByName('labels', label, db) : null;
+  await db.query('UPDATE songs SET movie_id = ?, label_id = ? WHERE id = ?', [movieId, labelId, songId]);
+}
+
+// Inserts a song (column values plus source_key) and links its catalog entities; returns the id
+async function createSong(values) {
+  const columns = Object.keys(values);
+  const result = await defaultDb.query(
+    `INSERT INTO songs (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => values[column])
+  );
+  await linkSongEntities(result.insertId, values);
+  return result.insertId;
+}
+
+// Applies changes to a song and relinks its entities; returns the updated row, or null if missing
+async function updateSong(songId, changes) {
+  const columns = Object.keys(changes);
+  const result = await defaultDb.query(
+    `UPDATE songs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => changes[column]), songId]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const [song] = await defaultDb.query('SELECT * FROM songs WHERE id = ?', [songId]);
+  await linkSongEntities(songId, song);
+  return song;
+}
+
+// Plays, playlist entries, favourites and lyrics of the song go with it
+async function deleteSong(songId) {
+  const result = await defaultDb.query('DELETE FROM songs WHERE id = ?', [songId]);
+  return result.affectedRows > 0;
+}
+
+// Song lists page by id, entity lists by name
+function parsePage(query, { numericCursor = false } = {}) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (query.cursor === undefined) return { limit, cursor: null };
+
+  const cursor = numericCursor ? Number(query.cursor) : String(query.cursor);
+  if (numericCursor && !Number.isInteger(cursor)) throw new Error('Invalid cursor');
+  return { limit, cursor };
+}
+
+function songCountSql(entity, alias) {
+  return entity.linkTable
+    ? `(SELECT COUNT(*) FROM ${entity.linkTable} l WHERE l.${entity.linkColumn} = ${alias}.id)`
+    : `(SELECT COUNT(*) FROM songs s WHERE s.${entity.songColumn} = ${alias}.id)`;
+}
+
+// Entities in name order, optionally filtered by a name fragment. The cursor is the last name seen.
+async function listEntities(kind, { q, limit, cursor }) {
+  const entity = CATALOG_ENTITIES[kind];
+  const clauses = [];
+  const values = [];
+  if (q) {
+    clauses.push('e.name LIKE ?');
+    values.push(`%${q.replace(/[\\%_]/g, char => `\\${char}`)}%`);
+  }
+  if (cursor) {
+    clauses.push('e.name > ?');
+    values.push(cursor);
+  }
+
+  const rows = await defaultDb.query(
+    `SELECT e.*, ${songCountSql(entity, 'e')} AS song_count FROM ${entity.table} e
+     ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY e.name LIMIT ?`,
+    [...values, limit + 1]
+  );
+  const items = rows.slice(0, limit);
+  return { [kind]: items, nextCursor: rows.length > limit ? items[items.length - 1].name : null };
+}
+
+async function getEntity(kind, id) {
+  const entity = CATALOG_ENTITIES[kind];
+  const rows = await defaultDb.query(
+    `SELECT e.*, ${songCountSql(entity, 'e')} AS song_count FROM ${entity.table} e WHERE e.id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Songs of one entity, newest first; the cursor is the last song id seen
+async function listEntitySongs(kind, id, { limit, cursor }) {
+  const entity = CATALOG_ENTITIES[kind];
+  const join = entity.linkTable ? `JOIN ${entity.linkTable} l ON l.song_id = s.id` : '';
+  const match = entity.linkTable ? `l.${entity.linkColumn} = ?` : `s.${entity.songColumn} = ?`;
+
+  const rows = await defaultDb.query(
+    `SELECT s.* FROM songs s ${join}
+     WHERE ${match} ${cursor ? 'AND s.id < ?' : ''}
+     ORDER BY s.id DESC LIMIT ?`,
+    cursor ? [id, cursor, limit + 1] : [id, limit + 1]
+  );
+  const songs = rows.slice(0, limit);
+  return { songs, nextCursor: rows.length > limit ? songs[songs.length - 1].id : null };
+}
+
+// Artists and composers of a song in credit order
+async function getSongCredits(songId) {
+  const artists = await defaultDb.query(
+    `SELECT a.id, a.name FROM song_artists sa JOIN artists a ON a.id = sa.artist_id
+     WHERE sa.song_id = ? ORDER BY sa.position`,
+    [songId]
+  );
+  const composers = await defaultDb.query(
+    `SELECT c.id, c.name FROM song_composers sc JOIN composers c ON c.id = sc.composer_id
+     WHERE sc.song_id = ? ORDER BY sc.position`,
+    [songId]
+  );
+  return { artists, composers };
+}
+
+module.exports = {
+  CATALOG_ENTITIES,
+  splitNames,
+  linkSongEntities,
+  createSong,
+  updateSong,
+  deleteSong,
+  parsePage,
+  listEntities,
+  getEntity,
+  listEntitySongs,
+  getSongCredits,
+};
@@ -12,11 +12,12 @@ const pool = mysql.createPool({
   waitForConnections: true,
   connectionLimit: 10,   // number of concurrent connections
   queueLimit: 0,         // unlimited queued queries
-  connectTimeout: 40000  // 40 seconds connect timeout
+  connectTimeout: 40000, // 40 seconds connect timeout
+  timezone: 'Z'          // DATETIME values are UTC; convert per user at the edges
 });
 
 pool.on('connection', (connection) => {
-  connection.query("SET time_zone = '+05:30'", (err) => {
+  connection.query("SET time_zone = '+00:00'", (err) => {
     if (err) {
       console.error('Error setting timezone for connection:', err);
     }
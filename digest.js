@@ -0,0 +1,132 @@
+// The daily digest: a morning notification listing the user's todos due today and those already
+// overdue. A sweep every few minutes sends it to each user whose chosen local time has come and
+// who hasn't had today's yet; nothing is sent when there is nothing to report.
+const moment = require('moment-timezone');
+const schedule = require('node-schedule');
+const pool = require('./db');
+const { notifyUser, DEFAULT_DIGEST_TIME } = require('./notifications');
+const { ownTodosClause } = require('./sharing');
+const { CLOSED_STATUSES } = require('./todoSearch');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const DIGEST_SWEEP_CRON = '*/5 * * * *';
+// After a restart, digests more than this late are skipped rather than sent at an odd hour
+const DIGEST_WINDOW_MINUTES = 120;
+const MAX_DIGEST_TODOS = 50;
+const TITLES_IN_BODY = 3;
+
+// The open todos due in the range, soonest first and at most MAX_DIGEST_TODOS of them, and how
+// many there are in all
+async function openTodosDueBefore(userId, before, after = null) {
+  const own = ownTodosClause(userId);
+  const where = `WHERE ${own.sql} AND status NOT IN (?) AND due_date < ? ${after ? 'AND due_date >= ?' : ''}`;
+  const values = [...own.values, CLOSED_STATUSES, before, ...(after ? [after] : [])];
+  const [todos, [{ count }]] = await Promise.all([
+    queryPromise(
+      `SELECT id, title, priority, status, due_date, category_id FROM todos ${where}
+       ORDER BY due_date, id LIMIT ?`,
+      [...values, MAX_DIGEST_TODOS]
+    ),
+    queryPromise(`SELECT COUNT(*) AS count FROM todos ${where}`, values),
+  ]);
+  return { todos, count: Number(count) };
+}
+
+function summarize(todayCount, overdueCount) {
+  const parts = [];
+  if (todayCount) parts.push(`${todayCount} due today`);
+  if (overdueCount) parts.push(`${overdueCount} overdue`);
+  return parts.join(', ');
+}
+
+// The digest for the user's current local day: { date, title, body, today_count, overdue_count,
+// today, overdue }, with due dates as UTC dates. The lists stop at MAX_DIGEST_TODOS; the counts
+// don't. title and body are null when nothing is due or overdue.
+async function buildDigest(user, now = new Date()) {
+  const startOfDay = moment(now).tz(user.timezone).startOf('day');
+  const [today, overdue] = await Promise.all([
+    openTodosDueBefore(user.id, startOfDay.clone().add(1, 'day').toDate(), startOfDay.toDate()),
+    openTodosDueBefore(user.id, startOfDay.toDate()),
+  ]);
+
+  const digest = {
+    date: startOfDay.format('YYYY-MM-DD'),
+    title: null,
+    body: null,
+    today_count: today.count,
+    overdue_count: overdue.count,
+    today: today.todos,
+    overdue: overdue.todos,
+  };
+  if (today.count === 0 && overdue.count === 0) return digest;
+
+  const titles = [...overdue.todos, ...today.todos].slice(0, TITLES_IN_BODY).map(todo => todo.title);
+  const others = today.count + overdue.count - titles.length;
+  digest.title = `Your day: ${summarize(today.count, overdue.count)}`;
+  digest.body = `${titles.join(', ')}${others > 0 ? ` and ${others} more` : ''}`;
+  return digest;
+}
+
+// Marks today's digest as sent for the user; only the instance that succeeds sends it
+async function claimDigest(userId, date) {
+  await queryPromise('INSERT IGNORE INTO notification_settings (user_id) VALUES (?)', [userId]);
+  const result = await queryPromise(
+    `UPDATE notification_settings SET last_digest_on = ?
+     WHERE user_id = ? AND (last_digest_on IS NULL OR last_digest_on < ?)`,
+    [date, userId, date]
+  );
+  return result.affectedRows > 0;
+}
+
+async function sendDigest(user, now = new Date()) {
+  const digest = await buildDigest(user, now);
+  if (!(await claimDigest(user.id, digest.date)) || !digest.title) return false;
+
+  await notifyUser(user.id, {
+    type: 'daily_digest',
+    title: digest.title,
+    body: digest.body,
+    data: { date: digest.date, today_count: digest.today_count, overdue_count: digest.overdue_count },
+  });
+  return true;
+}
+
+// Whether the user's digest time has passed today, recently enough to still send it
+function isDigestDue(user, now) {
+  const local = moment(now).tz(user.timezone);
+  const [hours, minutes] = (user.digest_time || DEFAULT_DIGEST_TIME).split(':').map(Number);
+  const minutesLate = local.hours() * 60 + local.minutes() - (hours * 60 + minutes);
+  const sentToday = user.last_digest_on !== null && user.last_digest_on >= local.format('YYYY-MM-DD');
+  return minutesLate >= 0 && minutesLate < DIGEST_WINDOW_MINUTES && !sentToday;
+}
+
+async function sendDueDigests() {
+  try {
+    const now = new Date();
+    const users = await queryPromise(
+      `SELECT u.id, u.timezone, s.digest_time, DATE_FORMAT(s.last_digest_on, '%Y-%m-%d') AS last_digest_on
+       FROM users u LEFT JOIN notification_settings s ON s.user_id = u.id
+       WHERE u.status = 'active' AND COALESCE(s.digest_enabled, TRUE)`
+    );
+
+    let sent = 0;
+    for (const user of users.filter(candidate => isDigestDue(candidate, now))) {
+      try {
+        if (await sendDigest(user, now)) sent++;
+      } catch (err) {
+        console.error(`Failed to send digest to user ${user.id}:`, err.message);
+      }
+    }
+    if (sent) console.log(`Sent ${sent} daily digests`);
+  } catch (err) {
+    console.error('Daily digest sweep failed:', err.message);
+  }
+}
+
+function startDigestScheduler() {
+  schedule.scheduleJob(DIGEST_SWEEP_CRON, sendDueDigests);
+}
+
+module.exports = { buildDigest, startDigestScheduler };
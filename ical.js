@@ -0,0 +1,241 @@
+// iCalendar (RFC 5545) for todos: builds calendars of VTODO or VEVENT entries, with a VALARM per
+// reminder, and reads VTODO and VEVENT entries back for import. Times are written in UTC.
+const moment = require('moment-timezone');
+
+const PRODUCT_ID = '-//Assister//Todos//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'assister.app';
+const ICAL_COMPONENTS = ['vtodo', 'vevent'];
+// Events need a length; a todo's due time becomes an event of this many minutes
+const EVENT_MINUTES = 30;
+// Lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+const STATUS_TO_ICAL = {
+  vtodo: { pending: 'NEEDS-ACTION', in_progress: 'IN-PROCESS', completed: 'COMPLETED', cancelled: 'CANCELLED' },
+  vevent: { pending: 'CONFIRMED', in_progress: 'CONFIRMED', completed: 'CONFIRMED', cancelled: 'CANCELLED' },
+};
+const STATUS_FROM_ICAL = {
+  'NEEDS-ACTION': 'pending',
+  'IN-PROCESS': 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+// iCalendar priorities run from 1 (highest) to 9 (lowest); 0 means none
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+
+function escapeText(text) {
+  return String(text).replace(/[\\;,]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// Splits a line into 75-octet pieces without cutting a UTF-8 character in two
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+  const pieces = [];
+  let piece = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = pieces.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(piece + char) > limit) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n ');
+}
+
+function formatDateTime(date) {
+  return moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function formatTrigger(offsetMinutes) {
+  return offsetMinutes === 0 ? 'PT0S' : `-PT${offsetMinutes}M`;
+}
+
+function todoUid(todoId) {
+  return `todo-${todoId}@${UID_DOMAIN}`;
+}
+
+// Lines for one todo. `todo` carries the todos row plus category_name, tags and reminders (offsets
+// in minutes). Alarms are relative to the due time: the end of a VTODO, the start of a VEVENT.
+function todoLines(todo, component, stamp) {
+  const name = component.toUpperCase();
+  const lines = [
+    `BEGIN:${name}`,
+    `UID:${todoUid(todo.id)}`,
+    `DTSTAMP:${stamp}`,
+    `CREATED:${formatDateTime(todo.created_at)}`,
+    `LAST-MODIFIED:${formatDateTime(todo.updated_at || todo.created_at)}`,
+    `SUMMARY:${escapeText(todo.title)}`,
+  ];
+  if (todo.description) lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+
+  if (component === 'vtodo') {
+    // A repeating VTODO needs a DTSTART to count its occurrences from
+    if (todo.recurrence_rule) lines.push(`DTSTART:${formatDateTime(todo.recurrence_start || todo.due_date)}`);
+    lines.push(`DUE:${formatDateTime(todo.due_date)}`);
+    if (todo.completed_at) lines.push(`COMPLETED:${formatDateTime(todo.completed_at)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(todo.due_date)}`, `DURATION:PT${EVENT_MINUTES}M`);
+  }
+  if (todo.recurrence_rule) lines.push(`RRULE:${todo.recurrence_rule}`);
+
+  lines.push(`STATUS:${STATUS_TO_ICAL[component][todo.status] || STATUS_TO_ICAL[component].pending}`);
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[todo.priority] || PRIORITY_TO_ICAL.medium}`);
+  if (todo.category_name) lines.push(`CATEGORIES:${escapeText(todo.category_name)}`);
+  if (todo.tags && todo.tags.length) lines.push(`X-ASSISTER-TAGS:${todo.tags.map(escapeText).join(',')}`);
+
+  for (const offset of todo.reminders || []) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(todo.title)}`,
+      component === 'vtodo' ? `TRIGGER;RELATED=END:${formatTrigger(offset)}` : `TRIGGER:${formatTrigger(offset)}`,
+      'END:VALARM'
+    );
+  }
+  lines.push(`END:${name}`);
+  return lines;
+}
+
+// A whole calendar as text. Todos without a due date are left out. `timezone` is only a hint for
+// calendar apps on how to show the UTC times.
+function buildCalendar(todos, { name, timezone, component = 'vtodo', now = new Date() } = {}) {
+  const stamp = formatDateTime(now);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+  for (const todo of todos.filter(item => item.due_date)) lines.push(...todoLines(todo, component, stamp));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// ---------- Reading ----------
+
+// "NAME;PARAM=value;...:value", with quoted parameter values that may contain ":" or ";"
+function parseContentLine(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      const [name, ...params] = line.slice(0, i).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(
+          params.map(param => {
+            const [key, value = ''] = param.split(/=(.*)/s);
+            return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+          })
+        ),
+        value: line.slice(i + 1),
+      };
+    }
+  }
+  return null;
+}
+
+// DATE-TIME in UTC ("...Z"), with a TZID, or floating (read in the user's timezone); a DATE is
+// the start of that day in the user's timezone. Returns null when it can't be read.
+function parseDateTime(property, tz) {
+  const { value, params } = property;
+  let parsed;
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    parsed = moment.tz(value, 'YYYYMMDD', true, tz);
+  } else if (value.endsWith('Z')) {
+    parsed = moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true);
+  } else {
+    const zone = params.TZID && moment.tz.zone(params.TZID) ? params.TZID : tz;
+    parsed = moment.tz(value, 'YYYYMMDD[T]HHmmss', true, zone);
+  }
+  return parsed.isValid() ? parsed.toDate() : null;
+}
+
+// Minutes before the due time for a relative trigger such as "-PT15M" or "-P1D"; null for
+// triggers after it or at a fixed time
+function parseTrigger(property) {
+  if (property.params.VALUE === 'DATE-TIME') return null;
+  const match = property.value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes);
+  if (total === 0 && Number(seconds) === 0) return 0;
+  return sign === '-' ? total : null;
+}
+
+function splitList(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map(item => unescapeText(item).trim())
+    .filter(Boolean);
+}
+
+// The VTODO and VEVENT entries of a calendar as plain fields, ready for validation:
+// { component, title, description, status, priority, due_date, completed_at, category, tags,
+// recurrence_rule, reminders }. Nested components other than VALARM are ignored.
+function parseCalendar(content, tz) {
+  const lines = String(content).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+
+  const entries = [];
+  let entry = null;
+  let alarm = null;
+  for (const line of lines) {
+    const property = line.trim() && parseContentLine(line);
+    if (!property) continue;
+    const value = property.value.trim();
+
+    if (property.name === 'BEGIN') {
+      const component = value.toUpperCase();
+      if (!entry && (component === 'VTODO' || component === 'VEVENT')) {
+        entry = { component: component.toLowerCase(), categories: [], tags: [], reminders: [], props: {} };
+      } else if (entry && component === 'VALARM') {
+        alarm = {};
+      }
+    } else if (property.name === 'END') {
+      const component = value.toUpperCase();
+      if (alarm && component === 'VALARM') {
+        if (alarm.trigger !== undefined && alarm.trigger !== null) entry.reminders.push(alarm.trigger);
+        alarm = null;
+      } else if (entry && component === entry.component.toUpperCase()) {
+        entries.push(entry);
+        entry = null;
+      }
+    } else if (alarm) {
+      if (property.name === 'TRIGGER') alarm.trigger = parseTrigger(property);
+    } else if (entry) {
+      if (property.name === 'CATEGORIES') entry.categories.push(...splitList(property.value));
+      else if (property.name === 'X-ASSISTER-TAGS') entry.tags.push(...splitList(property.value));
+      else if (!entry.props[property.name]) entry.props[property.name] = property;
+    }
+  }
+
+  return entries.map(({ component, categories, tags, reminders, props }) => {
+    const text = name => (props[name] ? unescapeText(props[name].value) : null);
+    const date = name => (props[name] ? parseDateTime(props[name], tz) : null);
+    const priority = props.PRIORITY ? Number(props.PRIORITY.value) : 0;
+    const status = props.STATUS ? props.STATUS.value.trim().toUpperCase() : null;
+    return {
+      component,
+      title: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      status: (component === 'vtodo' && STATUS_FROM_ICAL[status]) || (status === 'CANCELLED' ? 'cancelled' : 'pending'),
+      priority: priority >= 1 && priority <= 4 ? 'high' : priority >= 6 ? 'low' : 'medium',
+      due_date: component === 'vtodo' ? date('DUE') || date('DTSTART') : date('DTSTART'),
+      completed_at: date('COMPLETED'),
+      // The first category is the todo's category; any others become tags
+      category: categories[0] || null,
+      tags: [...categories.slice(1), ...tags],
+      recurrence_rule: props.RRULE ? props.RRULE.value.trim() : null,
+      reminders,
+    };
+  });
+}
+
+module.exports = { ICAL_COMPONENTS, buildCalendar, parseCalendar };
@@ -0,0 +1,317 @@
+// Catalog importer: upserts songs from metadata.json (or a CSV export with the same field names).
+//
+// Usage: node importer.js [file] [--format=json|csv] [--dry-run] [--diff]
+//
+// Songs are matched on source_key (file URL, else local mp3 path, else YouTube URL), so running
+// it again only updates what changed. --dry-run reports what would happen without writing.
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+const { linkSongEntities } = require('./catalog');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const DEFAULT_FILE = path.join(__dirname, 'metadata.json');
+// Matches songs.source_key
+const SOURCE_KEY_LENGTH = 512;
+
+// Input field -> songs column, with the checks each value must pass
+const RECORD_SCHEMA = {
+  song: { column: 'title', type: 'text', required: true, maxLength: 255 },
+  artists: { column: 'artist', type: 'text', maxLength: 255 },
+  movie: { column: 'movie', type: 'text', maxLength: 255 },
+  year: { column: 'year', type: 'year' },
+  duration: { column: 'duration', type: 'integer' },
+  genre: { column: 'genre', type: 'text', maxLength: 100 },
+  composers: { column: 'composers', type: 'text', maxLength: 255 },
+  language: { column: 'audio_lang', type: 'text', maxLength: 50 },
+  label: { column: 'label', type: 'text', maxLength: 255 },
+  file: { column: 'file_url', type: 'url' },
+  album_art: { column: 'album_art_url', type: 'url' },
+  local_mp3: { column: 'local_mp3', type: 'path' },
+  local_jpg: { column: 'local_jpg', type: 'path' },
+  youtube: { column: 'youtube_url', type: 'url' },
+};
+const COLUMNS = Object.values(RECORD_SCHEMA).map(field => field.column);
+// Changes to these columns need the artist/composer/movie/label links rebuilt
+const LINKED_COLUMNS = ['artist', 'composers', 'movie', 'year', 'label'];
+
+const NAMED_ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', nbsp: ' ' };
+
+// Decodes HTML entities such as &quot; and &#39;, including double-encoded ones like &amp;quot;
+function decodeEntities(text) {
+  let previous;
+  let decoded = text;
+  do {
+    previous = decoded;
+    decoded = previous.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      const named = NAMED_ENTITIES[entity.toLowerCase()];
+      return named === undefined ? match : named;
+    });
+  } while (decoded !== previous);
+  return decoded;
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  if (!header) return [];
+  return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index]])));
+}
+
+function parseRecords(content, format) {
+  if (format === 'csv') return parseCsv(content);
+
+  const data = JSON.parse(content);
+  const songs = Array.isArray(data) ? data : data.songs;
+  if (!Array.isArray(songs)) throw new Error('JSON input must be an array or { "songs": [...] }');
+  return songs;
+}
+
+function validateValue(value, field) {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    if (field.required) throw new Error('is required');
+    return null;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') throw new Error('must be a string or number');
+
+  const text = String(value).trim();
+  switch (field.type) {
+    case 'integer':
+      if (!/^\d+$/.test(text)) throw new Error(`must be a whole number, got "${text}"`);
+      return Number(text);
+    case 'year':
+      if (!/^\d{4}$/.test(text)) throw new Error(`must be a four-digit year, got "${text}"`);
+      return text;
+    case 'url':
+      if (!/^https?:\/\/\S+$/i.test(text)) throw new Error(`must be an http(s) URL, got "${text}"`);
+      return text;
+    case 'path':
+      return text;
+    default: {
+      const decoded = decodeEntities(text);
+      if (decoded.length > field.maxLength) throw new Error(`is longer than ${field.maxLength} characters`);
+      return decoded;
+    }
+  }
+}
+
+// Maps one input record to song column values; throws listing every invalid field
+function normalizeRecord(record) {
+  const values = {};
+  const problems = [];
+
+  for (const [name, field] of Object.entries(RECORD_SCHEMA)) {
+    try {
+      values[field.column] = validateValue(record[name], field);
+    } catch (err) {
+      problems.push(`${name} ${err.message}`);
+    }
+  }
+  if (problems.length) throw new Error(problems.join('; '));
+
+  values.source_key = songSourceKey(values);
+  if (!values.source_key) throw new Error('needs a file, local_mp3 or youtube value to identify it');
+  return values;
+}
+
+// Validates song fields given by column name (title, artist, file_url, ...), as the admin API
+// sends them. With `partial`, only the columns present are checked and returned.
+function normalizeSongInput(input, { partial = false } = {}) {
+  const values = {};
+  const problems = [];
+
+  for (const field of Object.values(RECORD_SCHEMA)) {
+    if (partial && !(field.column in input)) continue;
+    try {
+      values[field.column] = validateValue(input[field.column], field);
+    } catch (err) {
+      problems.push(`${field.column} ${err.message}`);
+    }
+  }
+  if (problems.length) throw new Error(problems.join('; '));
+  if (partial && Object.keys(values).length === 0) throw new Error('Nothing to update');
+  return values;
+}
+
+// Same identity the importer matches on
+function songSourceKey(song) {
+  const key = song.file_url || song.local_mp3 || song.youtube_url;
+  return key ? key.slice(0, SOURCE_KEY_LENGTH) : null;
+}
+
+function describeRecord(record, index) {
+  return `#${index + 1} ${record.song ? `"${record.song}"` : '(untitled)'}`;
+}
+
+// Imports records and returns { inserted, updated, skipped, failed, changes, errors }
+async function importCatalog(records, { dryRun = false } = {}) {
+  const summary = { inserted: 0, updated: 0, skipped: 0, failed: 0, changes: [], errors: [] };
+  const seen = new Map();
+
+  for (const [index, record] of records.entries()) {
+    const label = describeRecord(record, index);
+    try {
+      const values = normalizeRecord(record);
+
+      // The same song listed twice in one file is skipped; two different songs with one key are not
+      if (seen.has(values.source_key)) {
+        const first = seen.get(values.source_key);
+        if (COLUMNS.some(column => first.values[column] !== values[column])) {
+          throw new Error(`shares its key with ${first.label} but has different data`);
+        }
+        summary.skipped++;
+        continue;
+      }
+      seen.set(values.source_key, { label, values });
+
+      const [existing] = await queryPromise('SELECT * FROM songs WHERE source_key = ?', [values.source_key]);
+
+      if (!existing) {
+        summary.inserted++;
+        summary.changes.push({ action: 'insert', record: label });
+        if (dryRun) continue;
+
+        const result = await queryPromise(
+          `INSERT INTO songs (source_key, ${COLUMNS.join(', ')}) VALUES (?, ${COLUMNS.map(() => '?').join(', ')})`,
+          [values.source_key, ...COLUMNS.map(column => values[column])]
+        );
+        await linkSongEntities(result.insertId, values);
+        continue;
+      }
+
+      const changed = COLUMNS.filter(column => String(existing[column] ?? '') !== String(values[column] ?? ''));
+      if (changed.length === 0) {
+        summary.skipped++;
+        continue;
+      }
+
+      summary.updated++;
+      summary.changes.push({
+        action: 'update',
+        record: label,
+        fields: changed.map(column => ({ column, from: existing[column], to: values[column] })),
+      });
+      if (dryRun) continue;
+
+      await queryPromise(
+        `UPDATE songs SET ${changed.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...changed.map(column => values[column]), existing.id]
+      );
+      if (changed.some(column => LINKED_COLUMNS.includes(column))) {
+        await linkSongEntities(existing.id, values);
+      }
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push(`${label}: ${err.message}`);
+    }
+  }
+
+  return summary;
+}
+
+function printSummary(summary, { dryRun, diff }) {
+  if (diff) {
+    for (const change of summary.changes) {
+      if (change.action === 'insert') {
+        console.log(`+ ${change.record}`);
+        continue;
+      }
+      console.log(`~ ${change.record}`);
+      for (const { column, from, to } of change.fields) {
+        console.log(`    ${column}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+      }
+    }
+  }
+  for (const error of summary.errors) {
+    console.error(`! ${error}`);
+  }
+
+  console.log(
+    `${dryRun ? '[dry run] ' : ''}Inserted: ${summary.inserted}, updated: ${summary.updated}, ` +
+      `skipped: ${summary.skipped}, failed: ${summary.failed}`
+  );
+}
+
+async function main(args) {
+  const options = { dryRun: false, diff: false, format: null, file: DEFAULT_FILE };
+  for (const arg of args) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--diff') options.diff = true;
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.file = path.resolve(arg);
+  }
+
+  const format = options.format || (path.extname(options.file).toLowerCase() === '.csv' ? 'csv' : 'json');
+  if (!['json', 'csv'].includes(format)) throw new Error(`Unsupported format "${format}"`);
+
+  const records = parseRecords(fs.readFileSync(options.file, 'utf8'), format);
+  console.log(`Importing ${records.length} records from ${options.file}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const summary = await importCatalog(records, options);
+  printSummary(summary, options);
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main(process.argv.slice(2))
+    .catch(err => {
+      console.error('Import failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  SONG_COLUMNS: COLUMNS,
+  decodeEntities,
+  parseCsv,
+  parseRecords,
+  normalizeRecord,
+  normalizeSongInput,
+  songSourceKey,
+  importCatalog,
+};
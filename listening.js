@@ -0,0 +1,193 @@
+const pool = require('./db');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const PLAY_OUTCOMES = ['completed', 'skipped', 'partial'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Taste is taken from the most recent plays; a skip counts against what was skipped
+const PROFILE_PLAYS = 500;
+const PLAY_WEIGHT_SQL = "CASE p.outcome WHEN 'completed' THEN 1 WHEN 'partial' THEN 0.5 ELSE -1 END";
+const PROFILE_VALUES_PER_FEATURE = 20;
+const MAX_CANDIDATES = 2000;
+const POPULAR_WINDOW_DAYS = 30;
+
+// What a recommended song can share with the songs a user listens to, and how much each counts
+const FEATURES = {
+  artist: {
+    weight: 3,
+    profileJoin: 'JOIN song_artists f ON f.song_id = p.song_id',
+    profileColumn: 'f.artist_id',
+    candidateSql: 's.id IN (SELECT song_id FROM song_artists WHERE artist_id IN (?))',
+  },
+  composer: {
+    weight: 2,
+    profileJoin: 'JOIN song_composers f ON f.song_id = p.song_id',
+    profileColumn: 'f.composer_id',
+    candidateSql: 's.id IN (SELECT song_id FROM song_composers WHERE composer_id IN (?))',
+  },
+  movie: {
+    weight: 2,
+    profileJoin: 'JOIN songs f ON f.id = p.song_id',
+    profileColumn: 'f.movie_id',
+    candidateSql: 's.movie_id IN (?)',
+  },
+  year: {
+    weight: 1,
+    profileJoin: 'JOIN songs f ON f.id = p.song_id',
+    profileColumn: "NULLIF(f.year, '')",
+    candidateSql: 's.year IN (?)',
+  },
+  language: {
+    weight: 1,
+    profileJoin: 'JOIN songs f ON f.id = p.song_id',
+    profileColumn: "NULLIF(f.audio_lang, '')",
+    candidateSql: 's.audio_lang IN (?)',
+  },
+};
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+// Validates a play event from the app: { songId, position (seconds reached), outcome }
+function parsePlayEvent(input) {
+  const { songId, position = 0, outcome = 'partial' } = input;
+  if (!Number.isInteger(songId) || songId < 1) throw new Error('songId must be a positive integer');
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    throw new Error('position must be a non-negative number of seconds');
+  }
+  if (!PLAY_OUTCOMES.includes(outcome)) throw new Error(`outcome must be one of ${PLAY_OUTCOMES.join(', ')}`);
+  return { songId, position: Math.round(position), outcome };
+}
+
+async function recordPlay(userId, { songId, position, outcome }) {
+  const result = await queryPromise(
+    'INSERT INTO song_plays (user_id, song_id, position_seconds, outcome) VALUES (?, ?, ?, ?)',
+    [userId, songId, position, outcome]
+  );
+  return result.insertId;
+}
+
+// Distinct songs, most recently played first
+async function recentlyPlayed(userId, limit) {
+  return queryPromise(
+    `SELECT s.*, MAX(p.played_at) AS last_played_at FROM song_plays p JOIN songs s ON s.id = p.song_id
+     WHERE p.user_id = ? GROUP BY s.id ORDER BY last_played_at DESC LIMIT ?`,
+    [userId, limit]
+  );
+}
+
+// Songs by number of plays that weren't skipped, optionally only over the last `days` days
+async function mostPlayed(userId, { limit, days = null }) {
+  return queryPromise(
+    `SELECT s.*, COUNT(*) AS play_count, MAX(p.played_at) AS last_played_at
+     FROM song_plays p JOIN songs s ON s.id = p.song_id
+     WHERE p.user_id = ? AND p.outcome <> 'skipped' ${days ? 'AND p.played_at >= UTC_TIMESTAMP() - INTERVAL ? DAY' : ''}
+     GROUP BY s.id ORDER BY play_count DESC, last_played_at DESC LIMIT ?`,
+    days ? [userId, days, limit] : [userId, limit]
+  );
+}
+
+// For each feature, the values the user likes most with their affinity scaled to 0..1
+async function buildTasteProfile(userId) {
+  const profile = {};
+
+  for (const [feature, { profileJoin, profileColumn }] of Object.entries(FEATURES)) {
+    const rows = await queryPromise(
+      `SELECT ${profileColumn} AS value, SUM(${PLAY_WEIGHT_SQL}) AS affinity
+       FROM (SELECT song_id, outcome FROM song_plays WHERE user_id = ? ORDER BY id DESC LIMIT ?) p
+       ${profileJoin}
+       GROUP BY value HAVING value IS NOT NULL AND affinity > 0
+       ORDER BY affinity DESC LIMIT ?`,
+      [userId, PROFILE_PLAYS, PROFILE_VALUES_PER_FEATURE]
+    );
+    if (rows.length === 0) continue;
+
+    const max = Number(rows[0].affinity);
+    profile[feature] = new Map(rows.map(row => [String(row.value), Number(row.affinity) / max]));
+  }
+  return profile;
+}
+
+// Ids of linked artists/composers per candidate song
+async function loadLinks(table, column, songIds) {
+  const links = new Map(songIds.map(id => [id, []]));
+  const rows = await queryPromise(`SELECT song_id, ${column} AS value FROM ${table} WHERE song_id IN (?)`, [songIds]);
+  for (const row of rows) links.get(row.song_id).push(String(row.value));
+  return links;
+}
+
+// Songs popular with everyone lately, for users without enough history to go on
+async function popularSongs(userId, limit) {
+  const songs = await queryPromise(
+    `SELECT s.*, COUNT(p.id) AS play_count FROM songs s
+     LEFT JOIN song_plays p ON p.song_id = s.id AND p.outcome <> 'skipped'
+       AND p.played_at >= UTC_TIMESTAMP() - INTERVAL ? DAY
+     WHERE NOT EXISTS (SELECT 1 FROM song_plays mine WHERE mine.user_id = ? AND mine.song_id = s.id)
+     GROUP BY s.id ORDER BY play_count DESC, s.id DESC LIMIT ?`,
+    [POPULAR_WINDOW_DAYS, userId, limit]
+  );
+  return { basis: 'popular', songs };
+}
+
+// Songs the user hasn't played, scored by what they share with the user's listening history.
+// Each song carries its score and the features that matched.
+async function recommendSongs(userId, limit) {
+  const profile = await buildTasteProfile(userId);
+  const features = Object.keys(profile);
+  if (features.length === 0) return popularSongs(userId, limit);
+
+  const candidates = await queryPromise(
+    `SELECT s.* FROM songs s
+     WHERE NOT EXISTS (SELECT 1 FROM song_plays p WHERE p.user_id = ? AND p.song_id = s.id)
+       AND (${features.map(feature => FEATURES[feature].candidateSql).join(' OR ')})
+     LIMIT ?`,
+    [userId, ...features.map(feature => [...profile[feature].keys()]), MAX_CANDIDATES]
+  );
+  if (candidates.length === 0) return popularSongs(userId, limit);
+
+  const songIds = candidates.map(song => song.id);
+  const artists = await loadLinks('song_artists', 'artist_id', songIds);
+  const composers = await loadLinks('song_composers', 'composer_id', songIds);
+
+  const scored = candidates.map(song => {
+    const values = {
+      artist: artists.get(song.id),
+      composer: composers.get(song.id),
+      movie: song.movie_id === null ? [] : [String(song.movie_id)],
+      year: song.year ? [String(song.year)] : [],
+      language: song.audio_lang ? [song.audio_lang] : [],
+    };
+
+    let score = 0;
+    const reasons = [];
+    for (const feature of features) {
+      const matched = values[feature].reduce((sum, value) => sum + (profile[feature].get(value) || 0), 0);
+      if (matched > 0) {
+        score += FEATURES[feature].weight * matched;
+        reasons.push(feature);
+      }
+    }
+    return { ...song, score: Math.round(score * 100) / 100, reasons };
+  });
+
+  scored.sort((a, b) => b.score - a.score || b.id - a.id);
+  return { basis: 'history', songs: scored.slice(0, limit) };
+}
+
+module.exports = {
+  parseLimit,
+  parsePlayEvent,
+  recordPlay,
+  recentlyPlayed,
+  mostPlayed,
+  recommendSongs,
+};
@@ -0,0 +1,156 @@
+const pool = require('./db');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const MAX_LYRICS_LENGTH = 100 * 1024;
+const MAX_LINES = 2000;
+const LYRICS_FORMATS = ['lrc', 'text'];
+
+// [mm:ss], [mm:ss.xx] or [mm:ss.xxx]; a line may carry several when it repeats
+const TIMESTAMP = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const TAG_LINE = /^\[([a-z#]+):(.*)\]$/i;
+// Word-level timing from "enhanced" LRC, e.g. <00:12.34>; dropped since we only time whole lines
+const WORD_TIMESTAMP = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+function toMilliseconds(minutes, seconds) {
+  return Math.round((Number(minutes) * 60 + Number(seconds.replace(':', '.'))) * 1000);
+}
+
+function formatTimestamp(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const hundredths = Math.floor((ms % 1000) / 10);
+  const pad = value => String(value).padStart(2, '0');
+  return `[${pad(minutes)}:${pad(seconds)}.${pad(hundredths)}]`;
+}
+
+function isLrc(content) {
+  return content.split(/\r?\n/).some(line => /^\s*\[\d{1,3}:\d{1,2}/.test(line));
+}
+
+// Parses LRC into { metadata, lines: [{ time_ms, text }] } sorted by time. The [offset:] tag
+// (milliseconds, positive means earlier) is applied to the times, not kept as metadata.
+function parseLrc(content) {
+  const metadata = {};
+  const lines = [];
+  let offset = 0;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const times = [...line.matchAll(TIMESTAMP)];
+    if (times.length === 0) {
+      const tag = line.match(TAG_LINE);
+      if (tag && tag[1].toLowerCase() === 'offset') offset = Number(tag[2]) || 0;
+      else if (tag && tag[1] !== '#') metadata[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+
+    const text = line.replace(TIMESTAMP, '').replace(WORD_TIMESTAMP, '').trim();
+    for (const [, minutes, seconds] of times) {
+      lines.push({ time_ms: Math.max(0, toMilliseconds(minutes, seconds) - offset), text });
+    }
+  }
+
+  lines.sort((a, b) => a.time_ms - b.time_ms);
+  return { metadata, lines };
+}
+
+function parsePlainText(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .map(text => ({ time_ms: null, text }));
+  // Keep blank lines between verses, but not at either end
+  while (lines.length && !lines[0].text) lines.shift();
+  while (lines.length && !lines[lines.length - 1].text) lines.pop();
+  return { metadata: {}, lines };
+}
+
+// Validates uploaded lyrics; format is 'lrc', 'text' or left out to detect it from the content
+function parseLyrics(content, format) {
+  if (typeof content !== 'string' || !content.trim()) throw new Error('Lyrics are required');
+  if (content.length > MAX_LYRICS_LENGTH) throw new Error(`Lyrics must be at most ${MAX_LYRICS_LENGTH} characters`);
+  if (format !== undefined && !LYRICS_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${LYRICS_FORMATS.join(', ')}`);
+  }
+
+  const synced = format ? format === 'lrc' : isLrc(content);
+  const parsed = synced ? parseLrc(content) : parsePlainText(content);
+  if (parsed.lines.length === 0) throw new Error('No lyric lines found');
+  if (parsed.lines.length > MAX_LINES) throw new Error(`Lyrics can have at most ${MAX_LINES} lines`);
+  return { synced, ...parsed };
+}
+
+function toLrc({ metadata, lines }) {
+  const tags = Object.entries(metadata).map(([tag, value]) => `[${tag}:${value}]`);
+  return [...tags, ...lines.map(line => `${formatTimestamp(line.time_ms)}${line.text}`)].join('\n') + '\n';
+}
+
+function toPlainText({ lines }) {
+  return lines.map(line => line.text).join('\n') + '\n';
+}
+
+async function setSongLyrics(songId, lyrics) {
+  await queryPromise(
+    `INSERT INTO song_lyrics (song_id, synced, metadata, lyric_lines, plain_text) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE synced = VALUES(synced), metadata = VALUES(metadata),
+       lyric_lines = VALUES(lyric_lines), plain_text = VALUES(plain_text)`,
+    [songId, lyrics.synced, JSON.stringify(lyrics.metadata), JSON.stringify(lyrics.lines), toPlainText(lyrics)]
+  );
+}
+
+async function getSongLyrics(songId) {
+  const rows = await queryPromise(
+    'SELECT song_id, synced, metadata, lyric_lines, updated_at FROM song_lyrics WHERE song_id = ?',
+    [songId]
+  );
+  if (rows.length === 0) return null;
+  const { lyric_lines: lines, synced, ...lyrics } = rows[0];
+  return { ...lyrics, synced: Boolean(synced), lines };
+}
+
+async function deleteSongLyrics(songId) {
+  const result = await queryPromise('DELETE FROM song_lyrics WHERE song_id = ?', [songId]);
+  return result.affectedRows > 0;
+}
+
+// The lyric line sharing the most words with the query
+function bestMatchingLine(lines, q) {
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+  let best = null;
+  let bestHits = 0;
+  for (const line of lines) {
+    const text = line.text.toLowerCase();
+    const hits = text.includes(q.toLowerCase()) ? words.length + 1 : words.filter(word => text.includes(word)).length;
+    if (hits > bestHits) {
+      best = line;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// Songs whose lyrics match a remembered line, best match first, each with the line that matched
+async function searchLyrics(q, limit) {
+  const rows = await queryPromise(
+    `SELECT s.*, l.lyric_lines, MATCH(l.plain_text) AGAINST (?) AS score
+     FROM song_lyrics l JOIN songs s ON s.id = l.song_id
+     WHERE MATCH(l.plain_text) AGAINST (?) OR l.plain_text LIKE ?
+     ORDER BY score DESC, s.id DESC LIMIT ?`,
+    [q, q, `%${q.replace(/[\\%_]/g, char => `\\${char}`)}%`, limit]
+  );
+  return rows.map(({ lyric_lines, score, ...song }) => ({ ...song, matched_line: bestMatchingLine(lyric_lines, q) }));
+}
+
+module.exports = {
+  parseLyrics,
+  toLrc,
+  toPlainText,
+  setSongLyrics,
+  getSongLyrics,
+  deleteSongLyrics,
+  searchLyrics,
+};
@@ -0,0 +1,51 @@
+// Outgoing email and SMS. The app talks to a sender with one method:
+//
+//   send({ channel: 'email' | 'sms', to, subject, text }) -> Promise
+//
+// MESSAGE_SENDER picks a built-in stand-in: "console" (default) logs messages, "file" appends
+// them as JSON lines to MESSAGE_OUTBOX_FILE. A real provider can be plugged in with setSender().
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const consoleSender = {
+  async send({ channel, to, subject, text }) {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${text}`);
+  },
+};
+
+function createFileSender(file) {
+  return {
+    async send(message) {
+      const entry = { ...message, sent_at: new Date().toISOString() };
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    },
+  };
+}
+
+function createDefaultSender() {
+  const kind = process.env.MESSAGE_SENDER || 'console';
+  if (kind === 'file') {
+    return createFileSender(path.resolve(process.env.MESSAGE_OUTBOX_FILE || path.join(os.tmpdir(), 'assister-outbox.log')));
+  }
+  if (kind !== 'console') console.warn(`Unknown MESSAGE_SENDER "${kind}", logging messages to the console`);
+  return consoleSender;
+}
+
+let sender = null;
+
+function getSender() {
+  if (!sender) sender = createDefaultSender();
+  return sender;
+}
+
+function setSender(customSender) {
+  if (!customSender || typeof customSender.send !== 'function') throw new Error('Sender must have a send() method');
+  sender = customSender;
+}
+
+async function sendMessage(message) {
+  await getSender().send(message);
+}
+
+module.exports = { sendMessage, setSender };
@@ -0,0 +1,32 @@
+const authMiddleware = require('./authMiddleware');
+const { recordAdminAction } = require('../admin');
+
+// Signed-in users with the admin role only. Every successful change an admin makes is written
+// to the audit log; routes describe it by setting res.locals.audit = { action, targetType,
+// targetId, details }, otherwise the method and route are recorded.
+const adminMiddleware = (req, res, next) => {
+  authMiddleware(req, res, () => {
+    if (req.user.role !== 'admin') {
+      console.log(`Admin route refused for user ${req.user.id}`);
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (req.method !== 'GET') {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        const audit = res.locals.audit || {};
+        recordAdminAction({
+          adminId: req.user.id,
+          action: audit.action || `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+          targetType: audit.targetType || null,
+          targetId: audit.targetId !== undefined ? audit.targetId : req.params.id || null,
+          details: audit.details || null,
+          ipAddress: req.ip,
+        }).catch(err => console.error('Failed to write admin audit log:', err.message));
+      });
+    }
+    next();
+  });
+};
+
+module.exports = adminMiddleware;
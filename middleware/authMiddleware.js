@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../auth');
 const pool = require('../db'); // Your mysql2 promise pool
 
 const authMiddleware = async (req, res, next) => {
@@ -21,35 +21,48 @@ const authMiddleware = async (req, res, next) => {
     const token = parts[1];
     console.log('Extracted token:', token);
 
-    // Verify JWT token (sync version wrapped in promise)
-    jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }, async (err, user) => {
-      if (err) {
-        console.error('JWT verification failed:', err.message);
-        return res.status(403).json({ error: 'Invalid token signature' });
+    let user;
+    try {
+      user = verifyAccessToken(token);
+    } catch (err) {
+      console.error('JWT verification failed:', err.message);
+      // Expired access tokens are routine; clients renew them with POST /token/refresh
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
       }
-      console.log('JWT decoded payload:', user);
-
-      try {
-        const [rows] = await pool.query(
-          'SELECT * FROM user_tokens WHERE user_id = ? AND token = ?',
-          [user.id, token]
-        );
-        console.log('DB token check rows:', rows.length);
-
-        if (rows.length === 0) {
-          console.log('Token not found in database');
-          return res.status(403).json({ error: 'Token not recognized, please login again' });
-        }
-
-        req.user = user;
-        req.token = token;
-        console.log('Auth Middleware passed, moving to next');
-        next();
-      } catch (dbError) {
-        console.error('Database error during token check:', dbError.message);
-        return res.status(500).json({ error: 'Database error' });
+      return res.status(403).json({ error: 'Invalid token signature' });
+    }
+    console.log('JWT decoded payload:', user);
+
+    try {
+      // The session must still be active, so revoking it locks out its access tokens right away
+      const [rows] = await pool.query(
+        `SELECT u.timezone, u.role, u.status FROM user_tokens ut
+         JOIN users u ON u.id = ut.user_id
+         WHERE ut.id = ? AND ut.user_id = ? AND ut.revoked_at IS NULL AND ut.expires_at > UTC_TIMESTAMP()`,
+        [user.sid, user.id]
+      );
+      console.log('DB session check rows:', rows.length);
+
+      if (rows.length === 0) {
+        console.log('Session not found or revoked');
+        return res.status(403).json({ error: 'Token not recognized, please login again' });
       }
-    });
+
+      if (rows[0].status !== 'active') {
+        console.log('Account is suspended');
+        return res.status(403).json({ error: 'Account suspended' });
+      }
+
+      req.user = { ...user, role: rows[0].role, timezone: rows[0].timezone };
+      req.token = token;
+      req.sessionId = user.sid;
+      console.log('Auth Middleware passed, moving to next');
+      next();
+    } catch (dbError) {
+      console.error('Database error during token check:', dbError.message);
+      return res.status(500).json({ error: 'Database error' });
+    }
   } catch (e) {
     console.error('Unexpected error in auth middleware:', e.message);
     res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,184 @@
+// Fixed-window rate limiting and sign-in lockout.
+//
+// Counters live in a store: in memory by default, or in the rate_limits table with
+// RATE_LIMIT_STORE=mysql so that every instance sees the same counts. A limiter's defaults can
+// be overridden with RATE_LIMIT_<NAME>="<max>/<window seconds>", e.g. RATE_LIMIT_SIGNIN_IP=20/900.
+const pool = require('../db');
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.entries) {
+        if (entry.resetAt <= now) this.entries.delete(key);
+      }
+    }, CLEANUP_INTERVAL_MS).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.count++;
+    return { ...entry };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+class MysqlStore {
+  constructor() {
+    setInterval(() => {
+      pool
+        .query('DELETE FROM rate_limits WHERE reset_at <= UTC_TIMESTAMP(3)')
+        .catch(err => console.error('Rate limit cleanup failed:', err.message));
+    }, CLEANUP_INTERVAL_MS).unref();
+  }
+
+  async increment(key, windowMs) {
+    // Starts a new window when the old one has run out, otherwise counts within it
+    await pool.query(
+      `INSERT INTO rate_limits (rate_key, count, reset_at)
+       VALUES (?, 1, UTC_TIMESTAMP(3) + INTERVAL ? MICROSECOND)
+       ON DUPLICATE KEY UPDATE
+         count = IF(reset_at <= UTC_TIMESTAMP(3), 1, count + 1),
+         reset_at = IF(reset_at <= UTC_TIMESTAMP(3), VALUES(reset_at), reset_at)`,
+      [key, windowMs * 1000]
+    );
+    return this.get(key);
+  }
+
+  async get(key) {
+    const [rows] = await pool.query(
+      'SELECT count, reset_at FROM rate_limits WHERE rate_key = ? AND reset_at > UTC_TIMESTAMP(3)',
+      [key]
+    );
+    return rows.length ? { count: rows[0].count, resetAt: rows[0].reset_at.getTime() } : null;
+  }
+
+  async reset(key) {
+    await pool.query('DELETE FROM rate_limits WHERE rate_key = ?', [key]);
+  }
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) store = process.env.RATE_LIMIT_STORE === 'mysql' ? new MysqlStore() : new MemoryStore();
+  return store;
+}
+
+function limitFromEnv(name, max, windowSeconds) {
+  const value = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}`];
+  const match = value && value.match(/^(\d+)\/(\d+)$/);
+  if (value && !match) console.warn(`Ignoring RATE_LIMIT setting for ${name}: expected "<max>/<seconds>"`);
+  return match ? { max: Number(match[1]), windowSeconds: Number(match[2]) } : { max, windowSeconds };
+}
+
+function setRateLimitHeaders(res, { max, windowSeconds }, count, resetAt) {
+  const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('RateLimit-Policy', `${max};w=${windowSeconds}`);
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  return resetSeconds;
+}
+
+// Middleware allowing `max` requests per `windowSeconds` for each key(req). Requests without a
+// key (e.g. no identifier in the body) are not counted. If the store fails, requests go through.
+function rateLimit({ name, max, windowSeconds, key = req => req.ip }) {
+  const limit = limitFromEnv(name, max, windowSeconds);
+
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+
+    let entry;
+    try {
+      entry = await getStore().increment(`${name}:${value}`, limit.windowSeconds * 1000);
+    } catch (err) {
+      console.error(`Rate limiter ${name} unavailable:`, err.message);
+      return next();
+    }
+
+    const resetSeconds = setRateLimitHeaders(res, limit, entry.count, entry.resetAt);
+    if (entry.count > limit.max) {
+      console.log(`Rate limit ${name} exceeded for ${value}`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Too many requests, please try again later' });
+    }
+    next();
+  };
+}
+
+// Progressive lockout after repeated failed sign-ins for one identifier: after
+// LOCKOUT_THRESHOLD failures in a row, each further failure locks the account for twice as long.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+const FAILURE_MEMORY_SECONDS = 24 * 60 * 60;
+
+function normalizeIdentifier(identifier) {
+  return typeof identifier === 'string' && identifier.trim() ? identifier.trim().toLowerCase() : null;
+}
+
+// Seconds until the identifier may try again, or 0 when it isn't locked
+async function signinLockRemaining(identifier) {
+  const id = normalizeIdentifier(identifier);
+  if (!id) return 0;
+  try {
+    const lock = await getStore().get(`signin-lock:${id}`);
+    return lock ? Math.ceil((lock.resetAt - Date.now()) / 1000) : 0;
+  } catch (err) {
+    console.error('Sign-in lockout check failed:', err.message);
+    return 0;
+  }
+}
+
+async function recordSigninFailure(identifier) {
+  const id = normalizeIdentifier(identifier);
+  if (!id) return;
+  try {
+    const { count } = await getStore().increment(`signin-failures:${id}`, FAILURE_MEMORY_SECONDS * 1000);
+    if (count < LOCKOUT_THRESHOLD) return;
+
+    const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+    await getStore().reset(`signin-lock:${id}`);
+    await getStore().increment(`signin-lock:${id}`, seconds * 1000);
+    console.log(`Sign-in locked for ${id} for ${seconds}s after ${count} failures`);
+  } catch (err) {
+    console.error('Recording sign-in failure failed:', err.message);
+  }
+}
+
+async function clearSigninFailures(identifier) {
+  const id = normalizeIdentifier(identifier);
+  if (!id) return;
+  try {
+    await getStore().reset(`signin-failures:${id}`);
+    await getStore().reset(`signin-lock:${id}`);
+  } catch (err) {
+    console.error('Clearing sign-in failures failed:', err.message);
+  }
+}
+
+module.exports = {
+  rateLimit,
+  normalizeIdentifier,
+  signinLockRemaining,
+  recordSigninFailure,
+  clearSigninFailures,
+};
@@ -0,0 +1,158 @@
+// Versioned schema migrations.
+//
+// Each file in migrations/ is named <version>_<description>.js and exports async up(db) and
+// down(db). Applied versions are recorded in schema_migrations. A MySQL named lock makes sure
+// only one instance migrates at a time when several start together.
+//
+// Usage: node migrate.js up | down [steps] | status
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'assister_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 300;
+
+const createSchemaMigrationsTable = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);`;
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      version: file.split('_')[0],
+      name: path.basename(file, '.js'),
+      file: path.join(MIGRATIONS_DIR, file),
+    }));
+}
+
+// Runs fn with a db handle bound to a single connection holding the migration lock
+async function withMigrationLock(fn) {
+  const connection = await pool.getConnection();
+  const db = {
+    query: (sql, params = []) => connection.query(sql, params).then(([rows]) => rows),
+    async columnExists(table, column) {
+      const [{ count }] = await db.query(
+        `SELECT COUNT(*) AS count FROM information_schema.columns
+         WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+        [table, column]
+      );
+      return count > 0;
+    },
+  };
+
+  try {
+    const [{ acquired }] = await db.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) throw new Error('Timed out waiting for the migration lock');
+
+    try {
+      await db.query(createSchemaMigrationsTable);
+      return await fn(db);
+    } finally {
+      await db.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+async function getAppliedVersions(db) {
+  const rows = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Applies every pending migration in order; throws (leaving later ones pending) on the first failure
+async function runMigrations() {
+  return withMigrationLock(async db => {
+    const applied = await getAppliedVersions(db);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⚙️ Applying migration ${migration.name}...`);
+      await require(migration.file).up(db);
+      await db.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+        migration.version,
+        migration.name,
+      ]);
+    }
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+    return pending.map(migration => migration.name);
+  });
+}
+
+// Reverts the most recently applied migrations
+async function rollbackMigrations(steps = 1) {
+  return withMigrationLock(async db => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = [...(await getAppliedVersions(db)).keys()].reverse().slice(0, steps);
+
+    for (const version of applied) {
+      const migration = migrations.get(version);
+      if (!migration) throw new Error(`Migration file for version ${version} is missing`);
+
+      console.log(`⚙️ Rolling back migration ${migration.name}...`);
+      await require(migration.file).down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    }
+    console.log(`✅ Rolled back ${applied.length} migration(s)`);
+    return applied;
+  });
+}
+
+async function migrationStatus() {
+  return withMigrationLock(async db => {
+    const applied = await getAppliedVersions(db);
+    const migrations = loadMigrations();
+    const status = migrations.map(migration => ({
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+    }));
+
+    // Recorded versions whose files are gone, e.g. after switching to an older branch
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({ name: `${row.name} (file missing)`, applied_at: row.applied_at });
+      }
+    }
+    return status;
+  });
+}
+
+async function main([command = 'status', arg]) {
+  if (command === 'up') {
+    await runMigrations();
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : parseInt(arg, 10);
+    if (!(steps > 0)) throw new Error('Steps must be a positive number');
+    await rollbackMigrations(steps);
+  } else if (command === 'status') {
+    for (const { name, applied_at } of await migrationStatus()) {
+      console.log(`${applied_at ? '[x]' : '[ ]'} ${name}${applied_at ? `  (applied ${applied_at.toISOString()})` : ''}`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main(process.argv.slice(2))
+    .catch(err => {
+      console.error('❌ Migration failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { runMigrations, rollbackMigrations, migrationStatus };
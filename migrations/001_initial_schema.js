@@ -0,0 +1,150 @@
+// Schema as it stood when versioned migrations were introduced. Safe to run against databases
+// set up by the old runMigrations(): tables are created only if missing, and columns that
+// runMigrations() used to add on the fly are added here when absent.
+
+const tables = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    phone VARCHAR(20) UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS categories (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS todos (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status ENUM('pending','completed') DEFAULT 'pending',
+    priority ENUM('low','medium','high') DEFAULT 'medium',
+    category_id INT,
+    due_date DATETIME,
+    recurrence_rule VARCHAR(255),
+    recurrence_start DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS user_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token VARCHAR(512) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS user_fcm_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    fcm_token VARCHAR(512) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS songs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255),
+    artist VARCHAR(255),
+    movie VARCHAR(255),
+    year VARCHAR(10),
+    genre VARCHAR(100),
+    composers VARCHAR(255),
+    audio_lang VARCHAR(50),
+    label VARCHAR(255),
+    file_url TEXT,
+    album_art_url TEXT,
+    local_mp3 TEXT,
+    local_jpg TEXT,
+    youtube_url TEXT,
+    lyrics JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS todo_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    todo_id INT NOT NULL,
+    user_id INT NOT NULL,
+    offset_minutes INT NOT NULL DEFAULT 0,
+    remind_at DATETIME NOT NULL,
+    status ENUM('pending','sent','missed','cancelled') DEFAULT 'pending',
+    sent_at DATETIME,
+    sent_by VARCHAR(255),
+    success_count INT,
+    failure_count INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_todo_reminders_status (status, remind_at),
+    FOREIGN KEY (todo_id) REFERENCES todos(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS todo_reminder_offsets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    todo_id INT NOT NULL,
+    offset_minutes INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_todo_offset (todo_id, offset_minutes),
+    FOREIGN KEY (todo_id) REFERENCES todos(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS user_reminder_defaults (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    offset_minutes INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_user_offset (user_id, offset_minutes),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+];
+
+async function up(db) {
+  for (const sql of tables) {
+    await db.query(sql);
+  }
+
+  if (!(await db.columnExists('todo_reminders', 'offset_minutes'))) {
+    await db.query('ALTER TABLE todo_reminders ADD COLUMN offset_minutes INT NOT NULL DEFAULT 0 AFTER user_id');
+  }
+  if (!(await db.columnExists('todos', 'recurrence_rule'))) {
+    await db.query('ALTER TABLE todos ADD COLUMN recurrence_rule VARCHAR(255) AFTER due_date');
+  }
+  if (!(await db.columnExists('todos', 'recurrence_start'))) {
+    await db.query('ALTER TABLE todos ADD COLUMN recurrence_start DATETIME AFTER recurrence_rule');
+  }
+
+  // Before users had a timezone every due date was an IST wall-clock value and every user was
+  // in India, so rewrite the dates as UTC and keep those users on IST
+  if (!(await db.columnExists('users', 'timezone'))) {
+    await db.query("ALTER TABLE users ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' AFTER password");
+    await db.query("UPDATE users SET timezone = 'Asia/Kolkata'");
+    await db.query(
+      `UPDATE todos SET
+         due_date = CONVERT_TZ(due_date, '+05:30', '+00:00'),
+         recurrence_start = CONVERT_TZ(recurrence_start, '+05:30', '+00:00')`
+    );
+  }
+}
+
+async function down(db) {
+  for (const table of [
+    'user_reminder_defaults',
+    'todo_reminder_offsets',
+    'todo_reminders',
+    'songs',
+    'user_fcm_tokens',
+    'user_tokens',
+    'todos',
+    'categories',
+    'users',
+  ]) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// metadata.json carries a duration (in seconds) for every song, which the original table dropped
+
+async function up(db) {
+  await db.query('ALTER TABLE songs ADD COLUMN duration INT AFTER year');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE songs DROP COLUMN duration');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,123 @@
+// Artists, composers, movies and labels get their own tables. The comma-joined songs.artist and
+// songs.composers strings stay as display values; the link tables are the source for browsing.
+//
+// The backfill keeps its own copy of how catalog.js split and linked names when this migration was
+// written, so later changes to catalog.js don't change what it does on a fresh database.
+
+// "Charan Raj, Nagarjun Sharma" -> ['Charan Raj', 'Nagarjun Sharma'], without case-insensitive duplicates
+function splitNames(value) {
+  if (!value) return [];
+  const seen = new Set();
+  return String(value)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Returns the id of the row with this name, creating it if needed
+async function upsertByName(db, table, name, extra = {}) {
+  const columns = ['name', ...Object.keys(extra)];
+  const result = await db.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [name, ...Object.values(extra)]
+  );
+  return result.insertId;
+}
+
+async function linkSong(db, song) {
+  for (const [position, name] of splitNames(song.artist).entries()) {
+    const artistId = await upsertByName(db, 'artists', name);
+    await db.query('INSERT IGNORE INTO song_artists (song_id, artist_id, position) VALUES (?, ?, ?)', [
+      song.id,
+      artistId,
+      position,
+    ]);
+  }
+  for (const [position, name] of splitNames(song.composers).entries()) {
+    const composerId = await upsertByName(db, 'composers', name);
+    await db.query('INSERT IGNORE INTO song_composers (song_id, composer_id, position) VALUES (?, ?, ?)', [
+      song.id,
+      composerId,
+      position,
+    ]);
+  }
+
+  const movie = song.movie && song.movie.trim();
+  const label = song.label && song.label.trim();
+  const movieId = movie ? await upsertByName(db, 'movies', movie, { year: song.year || null }) : null;
+  const labelId = label ? await upsertByName(db, 'labels', label) : null;
+  await db.query('UPDATE songs SET movie_id = ?, label_id = ? WHERE id = ?', [movieId, labelId, song.id]);
+}
+
+async function up(db) {
+  for (const table of ['artists', 'composers', 'labels']) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`);
+  }
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS movies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      year VARCHAR(10),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS song_artists (
+      song_id INT NOT NULL,
+      artist_id INT NOT NULL,
+      position INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (song_id, artist_id),
+      INDEX idx_song_artists_artist (artist_id),
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+      FOREIGN KEY (artist_id) REFERENCES artists(id) ON DELETE CASCADE
+    )`);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS song_composers (
+      song_id INT NOT NULL,
+      composer_id INT NOT NULL,
+      position INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (song_id, composer_id),
+      INDEX idx_song_composers_composer (composer_id),
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+      FOREIGN KEY (composer_id) REFERENCES composers(id) ON DELETE CASCADE
+    )`);
+
+  await db.query(`
+    ALTER TABLE songs
+      ADD COLUMN movie_id INT AFTER movie,
+      ADD COLUMN label_id INT AFTER label,
+      ADD CONSTRAINT fk_songs_movie FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE SET NULL,
+      ADD CONSTRAINT fk_songs_label FOREIGN KEY (label_id) REFERENCES labels(id) ON DELETE SET NULL`);
+
+  // Backfill from the existing string columns
+  const songs = await db.query('SELECT id, artist, composers, movie, year, label FROM songs');
+  for (const song of songs) {
+    await linkSong(db, song);
+  }
+  console.log(`Linked ${songs.length} songs to artists, composers, movies and labels`);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE songs
+      DROP FOREIGN KEY fk_songs_movie,
+      DROP FOREIGN KEY fk_songs_label,
+      DROP COLUMN movie_id,
+      DROP COLUMN label_id`);
+  for (const table of ['song_composers', 'song_artists', 'movies', 'labels', 'composers', 'artists']) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
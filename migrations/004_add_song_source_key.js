@@ -0,0 +1,30 @@
+// Stable identity for catalog imports: the release file URL, else the local mp3 path, else the
+// YouTube URL (several different songs were matched to the same video, so it comes last).
+// Earlier imports inserted the whole catalog on every run, so duplicates sharing a key are
+// removed here, keeping the oldest row.
+
+function keyExpression(alias) {
+  return `LEFT(COALESCE(NULLIF(${alias}.file_url, ''), NULLIF(${alias}.local_mp3, ''),
+    NULLIF(${alias}.youtube_url, '')), 512)`;
+}
+
+async function up(db) {
+  await db.query('ALTER TABLE songs ADD COLUMN source_key VARCHAR(512) NULL AFTER id');
+
+  const result = await db.query(
+    `DELETE duplicate FROM songs duplicate
+     JOIN songs original
+       ON ${keyExpression('original')} = ${keyExpression('duplicate')}
+      AND original.id < duplicate.id`
+  );
+  console.log(`Removed ${result.affectedRows} duplicate songs`);
+
+  await db.query(`UPDATE songs SET source_key = ${keyExpression('songs')}`);
+  await db.query('ALTER TABLE songs ADD UNIQUE KEY uniq_songs_source_key (source_key)');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE songs DROP INDEX uniq_songs_source_key, DROP COLUMN source_key');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Listening history: one row per play event reported by the app
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS song_plays (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      song_id INT NOT NULL,
+      position_seconds INT NOT NULL DEFAULT 0,
+      outcome ENUM('completed','skipped','partial') NOT NULL DEFAULT 'partial',
+      played_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_song_plays_user_time (user_id, played_at),
+      INDEX idx_song_plays_user_song (user_id, song_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS song_plays');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,131 @@
+// Lyrics move from the never-populated songs.lyrics JSON column to their own table, so song
+// listings stay small. Lines are stored parsed, with a plain-text copy for lyric search.
+//
+// The migration keeps its own copy of the lyrics.js parser and formatters as they were when it was
+// written, so later changes to lyrics.js don't change how it carries the old data over.
+
+const MAX_LYRICS_LENGTH = 100 * 1024;
+const MAX_LINES = 2000;
+// [mm:ss], [mm:ss.xx] or [mm:ss.xxx]; a line may carry several when it repeats
+const TIMESTAMP = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const TAG_LINE = /^\[([a-z#]+):(.*)\]$/i;
+const WORD_TIMESTAMP = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+function toMilliseconds(minutes, seconds) {
+  return Math.round((Number(minutes) * 60 + Number(seconds.replace(':', '.'))) * 1000);
+}
+
+function formatTimestamp(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const hundredths = Math.floor((ms % 1000) / 10);
+  const pad = value => String(value).padStart(2, '0');
+  return `[${pad(minutes)}:${pad(seconds)}.${pad(hundredths)}]`;
+}
+
+// { metadata, lines: [{ time_ms, text }] } sorted by time, with the [offset:] tag applied
+function parseLrc(content) {
+  const metadata = {};
+  const lines = [];
+  let offset = 0;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const times = [...line.matchAll(TIMESTAMP)];
+    if (times.length === 0) {
+      const tag = line.match(TAG_LINE);
+      if (tag && tag[1].toLowerCase() === 'offset') offset = Number(tag[2]) || 0;
+      else if (tag && tag[1] !== '#') metadata[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+
+    const text = line.replace(TIMESTAMP, '').replace(WORD_TIMESTAMP, '').trim();
+    for (const [, minutes, seconds] of times) {
+      lines.push({ time_ms: Math.max(0, toMilliseconds(minutes, seconds) - offset), text });
+    }
+  }
+
+  lines.sort((a, b) => a.time_ms - b.time_ms);
+  return { metadata, lines };
+}
+
+function parsePlainText(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .map(text => ({ time_ms: null, text }));
+  while (lines.length && !lines[0].text) lines.shift();
+  while (lines.length && !lines[lines.length - 1].text) lines.pop();
+  return { metadata: {}, lines };
+}
+
+// LRC when any line starts with a timestamp, plain text otherwise; throws on anything unusable
+function parseLyrics(content) {
+  if (typeof content !== 'string' || !content.trim()) throw new Error('Lyrics are required');
+  if (content.length > MAX_LYRICS_LENGTH) throw new Error(`Lyrics must be at most ${MAX_LYRICS_LENGTH} characters`);
+
+  const synced = content.split(/\r?\n/).some(line => /^\s*\[\d{1,3}:\d{1,2}/.test(line));
+  const parsed = synced ? parseLrc(content) : parsePlainText(content);
+  if (parsed.lines.length === 0) throw new Error('No lyric lines found');
+  if (parsed.lines.length > MAX_LINES) throw new Error(`Lyrics can have at most ${MAX_LINES} lines`);
+  return { synced, ...parsed };
+}
+
+function toLrc({ metadata, lines }) {
+  const tags = Object.entries(metadata).map(([tag, value]) => `[${tag}:${value}]`);
+  return [...tags, ...lines.map(line => `${formatTimestamp(line.time_ms)}${line.text}`)].join('\n') + '\n';
+}
+
+function toPlainText({ lines }) {
+  return lines.map(line => line.text).join('\n') + '\n';
+}
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS song_lyrics (
+      song_id INT PRIMARY KEY,
+      synced BOOLEAN NOT NULL DEFAULT FALSE,
+      metadata JSON,
+      lyric_lines JSON NOT NULL,
+      plain_text MEDIUMTEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FULLTEXT INDEX ft_song_lyrics_text (plain_text),
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+    )`);
+
+  // Carry over anything stored as a string or an array of lines
+  const songs = await db.query('SELECT id, lyrics FROM songs WHERE lyrics IS NOT NULL');
+  for (const song of songs) {
+    const content = Array.isArray(song.lyrics) ? song.lyrics.join('\n') : song.lyrics;
+    let lyrics;
+    try {
+      lyrics = parseLyrics(content);
+    } catch (err) {
+      console.warn(`Skipping lyrics of song ${song.id}: ${err.message}`);
+      continue;
+    }
+    await db.query(
+      'INSERT INTO song_lyrics (song_id, synced, metadata, lyric_lines, plain_text) VALUES (?, ?, ?, ?, ?)',
+      [song.id, lyrics.synced, JSON.stringify(lyrics.metadata), JSON.stringify(lyrics.lines), toPlainText(lyrics)]
+    );
+  }
+
+  await db.query('ALTER TABLE songs DROP COLUMN lyrics');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE songs ADD COLUMN lyrics JSON AFTER youtube_url');
+  const rows = await db.query('SELECT song_id, synced, metadata, lyric_lines FROM song_lyrics');
+  for (const row of rows) {
+    const lyrics = { metadata: row.metadata || {}, lines: row.lyric_lines };
+    await db.query('UPDATE songs SET lyrics = ? WHERE id = ?', [
+      JSON.stringify(row.synced ? toLrc(lyrics) : toPlainText(lyrics)),
+      row.song_id,
+    ]);
+  }
+  await db.query('DROP TABLE IF EXISTS song_lyrics');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// user_tokens rows become sessions: a hashed rotating refresh token per device instead of a
+// stored year-long JWT. Those JWTs are deleted here, so everyone signs in again once.
+// Push tokens remember the session they were registered with, so logout removes only that device's.
+async function up(db) {
+  await db.query('DELETE FROM user_tokens');
+  await db.query(`
+    ALTER TABLE user_tokens
+      DROP COLUMN token,
+      ADD COLUMN refresh_token_hash CHAR(64) NOT NULL AFTER user_id,
+      ADD COLUMN previous_refresh_hash CHAR(64) NULL AFTER refresh_token_hash,
+      ADD COLUMN device_name VARCHAR(255) NULL,
+      ADD COLUMN user_agent VARCHAR(512) NULL,
+      ADD COLUMN ip_address VARCHAR(45) NULL,
+      ADD COLUMN last_used_at DATETIME NULL,
+      ADD COLUMN expires_at DATETIME NOT NULL,
+      ADD COLUMN revoked_at DATETIME NULL,
+      ADD COLUMN revoked_reason VARCHAR(50) NULL`);
+
+  await db.query(`
+    ALTER TABLE user_fcm_tokens
+      ADD COLUMN session_id INT NULL AFTER user_id,
+      ADD CONSTRAINT fk_user_fcm_tokens_session FOREIGN KEY (session_id) REFERENCES user_tokens(id) ON DELETE SET NULL`);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE user_fcm_tokens
+      DROP FOREIGN KEY fk_user_fcm_tokens_session,
+      DROP COLUMN session_id`);
+
+  await db.query('DELETE FROM user_tokens');
+  await db.query(`
+    ALTER TABLE user_tokens
+      ADD COLUMN token VARCHAR(512) NOT NULL AFTER user_id,
+      DROP COLUMN refresh_token_hash,
+      DROP COLUMN previous_refresh_hash,
+      DROP COLUMN device_name,
+      DROP COLUMN user_agent,
+      DROP COLUMN ip_address,
+      DROP COLUMN last_used_at,
+      DROP COLUMN expires_at,
+      DROP COLUMN revoked_at,
+      DROP COLUMN revoked_reason`);
+}
+
+module.exports = { up, down };
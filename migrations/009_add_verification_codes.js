@@ -0,0 +1,28 @@
+// One-time codes for password reset and for verifying the email address and phone number
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS verification_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      purpose ENUM('password_reset','email_verification','phone_verification') NOT NULL,
+      target VARCHAR(255) NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_verification_codes_user (user_id, purpose),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN email_verified_at DATETIME NULL AFTER email,
+      ADD COLUMN phone_verified_at DATETIME NULL AFTER phone`);
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE users DROP COLUMN email_verified_at, DROP COLUMN phone_verified_at');
+  await db.query('DROP TABLE IF EXISTS verification_codes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Counters for the MySQL rate limit store (RATE_LIMIT_STORE=mysql), shared by all instances
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      rate_key VARCHAR(255) PRIMARY KEY,
+      count INT NOT NULL,
+      reset_at DATETIME(3) NOT NULL,
+      INDEX idx_rate_limits_reset (reset_at)
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS rate_limits');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// Roles and account status for users, and a record of everything admins change.
+// Grant the first admin with: node admin.js grant <email>
+async function up(db) {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN role ENUM('user','admin') NOT NULL DEFAULT 'user' AFTER timezone,
+      ADD COLUMN status ENUM('active','suspended') NOT NULL DEFAULT 'active' AFTER role,
+      ADD COLUMN suspended_at DATETIME NULL AFTER status,
+      ADD COLUMN suspended_reason VARCHAR(255) NULL AFTER suspended_at`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NULL,
+      action VARCHAR(100) NOT NULL,
+      target_type VARCHAR(50) NULL,
+      target_id VARCHAR(64) NULL,
+      details JSON,
+      ip_address VARCHAR(45) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_admin_audit_log_admin (admin_id),
+      INDEX idx_admin_audit_log_target (target_type, target_id),
+      FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS admin_audit_log');
+  await db.query(`
+    ALTER TABLE users
+      DROP COLUMN role,
+      DROP COLUMN status,
+      DROP COLUMN suspended_at,
+      DROP COLUMN suspended_reason`);
+}
+
+module.exports = { up, down };
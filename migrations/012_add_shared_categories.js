@@ -0,0 +1,45 @@
+// Categories can be shared with other users as viewers or editors. Todos can be assigned to a
+// collaborator, and changes in shared lists are kept as an activity feed.
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS category_members (
+      category_id INT NOT NULL,
+      user_id INT NOT NULL,
+      role ENUM('viewer','editor') NOT NULL DEFAULT 'viewer',
+      invited_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (category_id, user_id),
+      INDEX idx_category_members_user (user_id),
+      FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+  await db.query(`
+    ALTER TABLE todos
+      ADD COLUMN assignee_id INT NULL AFTER user_id,
+      ADD CONSTRAINT fk_todos_assignee FOREIGN KEY (assignee_id) REFERENCES users(id) ON DELETE SET NULL`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS todo_activity (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      category_id INT NULL,
+      todo_id INT NULL,
+      actor_id INT NULL,
+      action VARCHAR(50) NOT NULL,
+      details JSON,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_todo_activity_category (category_id, id),
+      FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+      FOREIGN KEY (todo_id) REFERENCES todos(id) ON DELETE SET NULL,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS todo_activity');
+  await db.query('ALTER TABLE todos DROP FOREIGN KEY fk_todos_assignee, DROP COLUMN assignee_id');
+  await db.query('DROP TABLE IF EXISTS category_members');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Checklist items under a todo, and "blocked by" links between todos
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS todo_subtasks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      todo_id INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      status ENUM('pending','completed') NOT NULL DEFAULT 'pending',
+      position INT NOT NULL,
+      completed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_todo_subtasks_todo (todo_id, position),
+      FOREIGN KEY (todo_id) REFERENCES todos(id) ON DELETE CASCADE
+    )`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS todo_dependencies (
+      todo_id INT NOT NULL,
+      blocked_by_id INT NOT NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (todo_id, blocked_by_id),
+      INDEX idx_todo_dependencies_blocker (blocked_by_id),
+      FOREIGN KEY (todo_id) REFERENCES todos(id) ON DELETE CASCADE,
+      FOREIGN KEY (blocked_by_id) REFERENCES todos(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS todo_dependencies');
+  await db.query('DROP TABLE IF EXISTS todo_subtasks');
+}
+
+module.exports = { up, down };
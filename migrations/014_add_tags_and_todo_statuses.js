@@ -0,0 +1,41 @@
+// Tags on todos, the in_progress and cancelled statuses, and a full-text index for todo search
+async function up(db) {
+  await db.query(`
+    ALTER TABLE todos
+      MODIFY status ENUM('pending','in_progress','completed','cancelled') DEFAULT 'pending'`);
+
+  await db.query('ALTER TABLE todos ADD INDEX idx_todos_user_due (user_id, due_date)');
+  await db.query('ALTER TABLE todos ADD FULLTEXT INDEX ft_todos_title_description (title, description)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_tags_user_name (user_id, name),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS todo_tags (
+      todo_id INT NOT NULL,
+      tag_id INT NOT NULL,
+      PRIMARY KEY (todo_id, tag_id),
+      INDEX idx_todo_tags_tag (tag_id),
+      FOREIGN KEY (todo_id) REFERENCES todos(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS todo_tags');
+  await db.query('DROP TABLE IF EXISTS tags');
+  await db.query('ALTER TABLE todos DROP INDEX ft_todos_title_description, DROP INDEX idx_todos_user_due');
+  // Todos in the new statuses fall back to the nearest old one
+  await db.query(`UPDATE todos SET status = IF(status = 'cancelled', 'completed', 'pending')
+                  WHERE status IN ('in_progress','cancelled')`);
+  await db.query("ALTER TABLE todos MODIFY status ENUM('pending','completed') DEFAULT 'pending'");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Version numbers on todos and categories for optimistic concurrency, the id a client gave a record
+// it created offline (so a retried POST /sync doesn't create it twice), and tombstones so that
+// deletions reach clients syncing with GET /sync?since=
+async function up(db) {
+  for (const table of ['todos', 'categories']) {
+    await db.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN version INT NOT NULL DEFAULT 1,
+        ADD COLUMN client_id VARCHAR(64) NULL,
+        ADD INDEX idx_${table}_updated (updated_at),
+        ADD UNIQUE KEY uq_${table}_client (user_id, client_id)`);
+  }
+
+  // One row per user who should hear about the deletion
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sync_tombstones (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      entity_type ENUM('todo','category') NOT NULL,
+      entity_id INT NOT NULL,
+      deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_sync_tombstones_user (user_id, deleted_at),
+      INDEX idx_sync_tombstones_deleted (deleted_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS sync_tombstones');
+  for (const table of ['categories', 'todos']) {
+    await db.query(`
+      ALTER TABLE ${table}
+        DROP INDEX uq_${table}_client,
+        DROP INDEX idx_${table}_updated,
+        DROP COLUMN client_id,
+        DROP COLUMN version`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Every notification is kept in an inbox whether or not it was pushed, and users choose which
+// types are pushed and when not to be disturbed
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSON,
+      push_status ENUM('sent','failed','no_devices','muted','quiet_hours') NULL,
+      push_success_count INT NOT NULL DEFAULT 0,
+      push_failure_count INT NOT NULL DEFAULT 0,
+      read_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_notifications_user (user_id, id),
+      INDEX idx_notifications_unread (user_id, read_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_settings (
+      user_id INT PRIMARY KEY,
+      muted_types JSON,
+      quiet_hours_start TIME NULL,
+      quiet_hours_end TIME NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS notification_settings');
+  await db.query('DROP TABLE IF EXISTS notifications');
+}
+
+module.exports = { up, down };
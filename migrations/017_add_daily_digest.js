@@ -0,0 +1,19 @@
+// When each user gets their morning summary, and the local date it was last sent so that
+// a restart (or a second instance) never sends it twice
+async function up(db) {
+  await db.query(`
+    ALTER TABLE notification_settings
+      ADD COLUMN digest_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN digest_time TIME NOT NULL DEFAULT '08:00:00',
+      ADD COLUMN last_digest_on DATE NULL`);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE notification_settings
+      DROP COLUMN last_digest_on,
+      DROP COLUMN digest_time,
+      DROP COLUMN digest_enabled`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// When each todo was completed, for completion statistics. Todos completed before this migration
+// get their last update time, the closest record there is.
+async function up(db) {
+  await db.query(`
+    ALTER TABLE todos
+      ADD COLUMN completed_at DATETIME NULL AFTER status,
+      ADD INDEX idx_todos_user_completed (user_id, completed_at)`);
+  // Keeps updated_at as it was, or every completed todo would look changed to sync clients
+  await db.query("UPDATE todos SET completed_at = updated_at, updated_at = updated_at WHERE status = 'completed'");
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE todos DROP INDEX idx_todos_user_completed, DROP COLUMN completed_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// A secret calendar feed URL per user. Only a hash of the token in the URL is stored.
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_accessed_at DATETIME NULL,
+      UNIQUE KEY uq_calendar_feeds_user (user_id),
+      UNIQUE KEY uq_calendar_feeds_token (token_hash),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS calendar_feeds');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,257 @@
+// The notification center. notifyUser() stores each notification in the user's inbox and pushes it
+// to their devices unless they muted its type or it falls in their quiet hours. Tokens that the
+// push provider reports as unregistered are removed.
+const moment = require('moment-timezone');
+const pool = require('./db');
+const { sendPush } = require('./push');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+// Every type lands in the inbox; each can have its push turned off
+const NOTIFICATION_TYPES = [
+  'todo_created',
+  'todo_updated',
+  'todo_reminder',
+  'todo_assigned',
+  'list_shared',
+  'daily_digest',
+];
+// Used until the user picks their own
+const DEFAULT_DIGEST_TIME = '08:00';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function getUserFcmTokens(userId) {
+  try {
+    const [rows] = await pool.query('SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ?', [userId]);
+    return rows.map(row => row.fcm_token);
+  } catch (err) {
+    console.error('Failed to fetch FCM tokens for user:', userId, err);
+    return [];
+  }
+}
+
+async function pruneFcmTokens(tokens) {
+  if (tokens.length === 0) return;
+  const result = await queryPromise('DELETE FROM user_fcm_tokens WHERE fcm_token IN (?)', [tokens]);
+  console.log(`Removed ${result.affectedRows} unregistered FCM tokens`);
+}
+
+// ---------- Settings ----------
+
+// "HH:MM" (or the "HH:MM:SS" MySQL returns for TIME) as minutes after midnight
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Quiet hours may run past midnight (22:00 to 07:00)
+function inQuietHours(settings, tz, now = new Date()) {
+  if (!settings.quiet_hours) return false;
+  const start = minutesOfDay(settings.quiet_hours.start);
+  const end = minutesOfDay(settings.quiet_hours.end);
+  const local = moment(now).tz(tz);
+  const current = local.hours() * 60 + local.minutes();
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+// { push: { <type>: true|false }, quiet_hours: { start, end } | null, digest: { enabled, time } }
+async function getNotificationSettings(userId) {
+  const [row] = await queryPromise('SELECT * FROM notification_settings WHERE user_id = ?', [userId]);
+  const muted = new Set((row && row.muted_types) || []);
+  return {
+    push: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, !muted.has(type)])),
+    quiet_hours:
+      row && row.quiet_hours_start
+        ? { start: row.quiet_hours_start.slice(0, 5), end: row.quiet_hours_end.slice(0, 5) }
+        : null,
+    digest: {
+      enabled: row ? Boolean(row.digest_enabled) : true,
+      time: row ? row.digest_time.slice(0, 5) : DEFAULT_DIGEST_TIME,
+    },
+  };
+}
+
+// Validates a settings update from a request body; any of push, quiet_hours and digest may be left out
+function parseNotificationSettings(input) {
+  const changes = {};
+
+  if (input.push !== undefined) {
+    if (!input.push || typeof input.push !== 'object' || Array.isArray(input.push)) {
+      throw new Error('push must map notification types to true or false');
+    }
+    for (const [type, enabled] of Object.entries(input.push)) {
+      if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type "${type}"`);
+      if (typeof enabled !== 'boolean') throw new Error(`push.${type} must be true or false`);
+    }
+    changes.push = input.push;
+  }
+
+  if (input.quiet_hours !== undefined) {
+    if (input.quiet_hours === null) {
+      changes.quiet_hours = null;
+    } else {
+      const { start, end } = input.quiet_hours || {};
+      const valid = value => typeof value === 'string' && TIME_PATTERN.test(value);
+      if (!valid(start) || !valid(end)) throw new Error('quiet_hours needs start and end as HH:MM');
+      if (start === end) throw new Error('quiet_hours start and end must differ');
+      changes.quiet_hours = { start, end };
+    }
+  }
+
+  if (input.digest !== undefined) {
+    const { enabled, time } = input.digest || {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') throw new Error('digest.enabled must be true or false');
+    if (time !== undefined && !(typeof time === 'string' && TIME_PATTERN.test(time))) {
+      throw new Error('digest.time must be HH:MM');
+    }
+    if (enabled === undefined && time === undefined) throw new Error('digest needs enabled or time');
+    changes.digest = { enabled, time };
+  }
+
+  if (Object.keys(changes).length === 0) throw new Error('Nothing to update');
+  return changes;
+}
+
+async function updateNotificationSettings(userId, changes) {
+  const current = await getNotificationSettings(userId);
+  const push = { ...current.push, ...(changes.push || {}) };
+  const quietHours = changes.quiet_hours !== undefined ? changes.quiet_hours : current.quiet_hours;
+  const digest = { ...current.digest };
+  if (changes.digest && changes.digest.enabled !== undefined) digest.enabled = changes.digest.enabled;
+  if (changes.digest && changes.digest.time !== undefined) digest.time = changes.digest.time;
+  const mutedTypes = NOTIFICATION_TYPES.filter(type => !push[type]);
+
+  await queryPromise(
+    `INSERT INTO notification_settings
+       (user_id, muted_types, quiet_hours_start, quiet_hours_end, digest_enabled, digest_time)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE muted_types = VALUES(muted_types),
+       quiet_hours_start = VALUES(quiet_hours_start), quiet_hours_end = VALUES(quiet_hours_end),
+       digest_enabled = VALUES(digest_enabled), digest_time = VALUES(digest_time)`,
+    [
+      userId,
+      JSON.stringify(mutedTypes),
+      quietHours && quietHours.start,
+      quietHours && quietHours.end,
+      digest.enabled,
+      digest.time,
+    ]
+  );
+  return getNotificationSettings(userId);
+}
+
+// ---------- Sending ----------
+
+// Stores the notification and pushes it when the user's settings allow.
+// Returns { id, pushStatus, successCount, failureCount }; never throws.
+async function notifyUser(userId, { type, title, body, data = null }) {
+  const outcome = { id: null, pushStatus: null, successCount: 0, failureCount: 0 };
+  try {
+    const result = await queryPromise(
+      'INSERT INTO notifications (user_id, type, title, body, data) VALUES (?, ?, ?, ?, ?)',
+      [userId, type, title, body, JSON.stringify(data)]
+    );
+    outcome.id = result.insertId;
+
+    const [user] = await queryPromise('SELECT timezone FROM users WHERE id = ?', [userId]);
+    const settings = await getNotificationSettings(userId);
+    if (settings.push[type] === false) {
+      outcome.pushStatus = 'muted';
+    } else if (inQuietHours(settings, (user && user.timezone) || 'UTC')) {
+      outcome.pushStatus = 'quiet_hours';
+    } else {
+      const tokens = await getUserFcmTokens(userId);
+      if (tokens.length === 0) {
+        outcome.pushStatus = 'no_devices';
+      } else {
+        const results = await sendPush({ tokens, title, body, data: { ...data, type, notification_id: outcome.id } });
+        outcome.successCount = results.filter(r => r.ok).length;
+        outcome.failureCount = results.length - outcome.successCount;
+        outcome.pushStatus = outcome.successCount > 0 ? 'sent' : 'failed';
+        await pruneFcmTokens(results.filter(r => r.unregistered).map(r => r.token));
+        console.log(`Sent ${outcome.successCount} push notifications; ${outcome.failureCount} failed`);
+      }
+    }
+
+    await queryPromise(
+      `UPDATE notifications SET push_status = ?, push_success_count = ?, push_failure_count = ?
+       WHERE id = ?`,
+      [outcome.pushStatus, outcome.successCount, outcome.failureCount, outcome.id]
+    );
+  } catch (err) {
+    console.error(`Failed to notify user ${userId} (${type}):`, err.message);
+    if (!outcome.pushStatus) outcome.pushStatus = 'failed';
+  }
+  return outcome;
+}
+
+// ---------- Inbox ----------
+
+// Newest first; the cursor is the last id seen
+async function listNotifications(userId, { unreadOnly = false, limit, cursor }) {
+  const clauses = ['user_id = ?'];
+  const values = [userId];
+  if (unreadOnly) clauses.push('read_at IS NULL');
+  if (cursor) {
+    clauses.push('id < ?');
+    values.push(cursor);
+  }
+
+  const rows = await queryPromise(
+    `SELECT id, type, title, body, data, read_at, created_at FROM notifications
+     WHERE ${clauses.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+    [...values, limit + 1]
+  );
+  const notifications = rows.slice(0, limit);
+  const [{ unread }] = await queryPromise(
+    'SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return {
+    notifications,
+    unreadCount: unread,
+    nextCursor: rows.length > limit ? notifications[notifications.length - 1].id : null,
+  };
+}
+
+// Returns false if the user has no such notification
+async function markNotificationRead(userId, notificationId) {
+  const result = await queryPromise(
+    'UPDATE notifications SET read_at = COALESCE(read_at, UTC_TIMESTAMP()) WHERE id = ? AND user_id = ?',
+    [notificationId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Returns how many were unread
+async function markAllNotificationsRead(userId) {
+  const result = await queryPromise(
+    'UPDATE notifications SET read_at = UTC_TIMESTAMP() WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+async function deleteNotification(userId, notificationId) {
+  const result = await queryPromise('DELETE FROM notifications WHERE id = ? AND user_id = ?', [
+    notificationId,
+    userId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DEFAULT_DIGEST_TIME,
+  getUserFcmTokens,
+  inQuietHours,
+  getNotificationSettings,
+  parseNotificationSettings,
+  updateNotificationSettings,
+  notifyUser,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+};
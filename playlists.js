@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const pool = require('./db');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const MAX_NAME_LENGTH = 255;
+const MAX_PLAYLIST_ITEMS = 1000;
+const MAX_SONGS_PER_REQUEST = 100;
+
+// Runs fn(query) on one connection inside a transaction, so item positions never end up half-updated
+async function withTransaction(fn) {
+  const connection = await pool.getConnection();
+  const query = (sql, params = []) => connection.query(sql, params).then(([rows]) => rows);
+  try {
+    await connection.beginTransaction();
+    const result = await fn(query);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Validates name/description from a request body; `partial` allows either to be left out
+function parsePlaylistInput(input, { partial = false } = {}) {
+  const playlist = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) throw new Error('name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    playlist.name = name;
+  }
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      throw new Error('description must be a string');
+    }
+    playlist.description = input.description || null;
+  }
+  if (partial && Object.keys(playlist).length === 0) throw new Error('Nothing to update');
+  return playlist;
+}
+
+// Accepts { songId } or { songIds: [...] }
+function parseSongIds(input) {
+  const ids = input.songIds !== undefined ? input.songIds : [input.songId];
+  if (!Array.isArray(ids) || ids.length === 0) throw new Error('songId or songIds is required');
+  if (ids.length > MAX_SONGS_PER_REQUEST) throw new Error(`At most ${MAX_SONGS_PER_REQUEST} songs at a time`);
+  if (!ids.every(id => Number.isInteger(id) && id > 0)) throw new Error('Song ids must be positive integers');
+  return ids;
+}
+
+// Song ids from the list that are not in the catalog
+async function findMissingSongs(songIds) {
+  const rows = await queryPromise('SELECT id FROM songs WHERE id IN (?)', [[...new Set(songIds)]]);
+  const found = new Set(rows.map(row => row.id));
+  return songIds.filter(id => !found.has(id));
+}
+
+async function listPlaylists(userId) {
+  return queryPromise(
+    `SELECT p.*, (SELECT COUNT(*) FROM playlist_items i WHERE i.playlist_id = p.id) AS song_count
+     FROM playlists p WHERE p.user_id = ? ORDER BY p.updated_at DESC, p.id DESC`,
+    [userId]
+  );
+}
+
+async function getOwnedPlaylist(userId, playlistId) {
+  const rows = await queryPromise('SELECT * FROM playlists WHERE id = ? AND user_id = ?', [playlistId, userId]);
+  return rows[0] || null;
+}
+
+// Songs of a playlist in play order, each with the item id used to move or remove it
+async function getPlaylistItems(playlistId) {
+  return queryPromise(
+    `SELECT i.id AS item_id, i.position, i.added_at, s.*
+     FROM playlist_items i JOIN songs s ON s.id = i.song_id
+     WHERE i.playlist_id = ? ORDER BY i.position`,
+    [playlistId]
+  );
+}
+
+async function createPlaylist(userId, { name, description = null }) {
+  const result = await queryPromise('INSERT INTO playlists (user_id, name, description) VALUES (?, ?, ?)', [
+    userId,
+    name,
+    description,
+  ]);
+  return result.insertId;
+}
+
+async function updatePlaylist(userId, playlistId, changes) {
+  const columns = Object.keys(changes);
+  const result = await queryPromise(
+    `UPDATE playlists SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+    [...columns.map(column => changes[column]), playlistId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+async function deletePlaylist(userId, playlistId) {
+  const result = await queryPromise('DELETE FROM playlists WHERE id = ? AND user_id = ?', [playlistId, userId]);
+  return result.affectedRows > 0;
+}
+
+// Inserts songs at `position` (0-based, default the end), shifting later items down.
+// Returns the new item ids, or null when the playlist would go over MAX_PLAYLIST_ITEMS.
+async function addPlaylistItems(playlistId, songIds, position = null) {
+  return withTransaction(async query => {
+    // Lock the playlist row so concurrent adds don't hand out the same positions
+    await query('SELECT id FROM playlists WHERE id = ? FOR UPDATE', [playlistId]);
+    const [{ count }] = await query('SELECT COUNT(*) AS count FROM playlist_items WHERE playlist_id = ?', [
+      playlistId,
+    ]);
+    if (count + songIds.length > MAX_PLAYLIST_ITEMS) return null;
+
+    const start = position === null ? count : Math.min(position, count);
+    await query('UPDATE playlist_items SET position = position + ? WHERE playlist_id = ? AND position >= ?', [
+      songIds.length,
+      playlistId,
+      start,
+    ]);
+
+    const itemIds = [];
+    for (const [offset, songId] of songIds.entries()) {
+      const result = await query('INSERT INTO playlist_items (playlist_id, song_id, position) VALUES (?, ?, ?)', [
+        playlistId,
+        songId,
+        start + offset,
+      ]);
+      itemIds.push(result.insertId);
+    }
+    await query('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlistId]);
+    return itemIds;
+  });
+}
+
+async function removePlaylistItem(playlistId, itemId) {
+  return withTransaction(async query => {
+    const [item] = await query('SELECT position FROM playlist_items WHERE id = ? AND playlist_id = ? FOR UPDATE', [
+      itemId,
+      playlistId,
+    ]);
+    if (!item) return false;
+
+    await query('DELETE FROM playlist_items WHERE id = ?', [itemId]);
+    await query('UPDATE playlist_items SET position = position - 1 WHERE playlist_id = ? AND position > ?', [
+      playlistId,
+      item.position,
+    ]);
+    await query('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlistId]);
+    return true;
+  });
+}
+
+// itemIds must list every item of the playlist exactly once, in the new order; returns false if not
+async function reorderPlaylistItems(playlistId, itemIds) {
+  return withTransaction(async query => {
+    const rows = await query('SELECT id FROM playlist_items WHERE playlist_id = ? FOR UPDATE', [playlistId]);
+    const current = new Set(rows.map(row => row.id));
+    const complete =
+      itemIds.length === current.size && new Set(itemIds).size === itemIds.length && itemIds.every(id => current.has(id));
+    if (!complete) return false;
+
+    for (const [position, itemId] of itemIds.entries()) {
+      await query('UPDATE playlist_items SET position = ? WHERE id = ?', [position, itemId]);
+    }
+    await query('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlistId]);
+    return true;
+  });
+}
+
+// Creates the share link token if the playlist doesn't have one yet
+async function sharePlaylist(playlist) {
+  if (playlist.share_token) return playlist.share_token;
+  const token = crypto.randomBytes(18).toString('base64url');
+  await queryPromise('UPDATE playlists SET share_token = ? WHERE id = ?', [token, playlist.id]);
+  return token;
+}
+
+// Turns the share link off; sharing again gives a new link
+async function unsharePlaylist(playlistId) {
+  await queryPromise('UPDATE playlists SET share_token = NULL WHERE id = ?', [playlistId]);
+}
+
+// Read-only view for /public: the owner's name but not their id, and not the token itself
+async function getSharedPlaylist(token) {
+  const rows = await queryPromise(
+    `SELECT p.id, p.name, p.description, p.created_at, p.updated_at, u.name AS owner_name
+     FROM playlists p JOIN users u ON u.id = p.user_id WHERE p.share_token = ?`,
+    [token]
+  );
+  if (rows.length === 0) return null;
+  return { ...rows[0], songs: await getPlaylistItems(rows[0].id) };
+}
+
+// Favourites, most recently added first; the cursor is the last favourite_id seen
+async function listFavourites(userId, { limit, cursor }) {
+  const rows = await queryPromise(
+    `SELECT s.*, f.id AS favourite_id, f.created_at AS favourited_at
+     FROM user_favourites f JOIN songs s ON s.id = f.song_id
+     WHERE f.user_id = ? ${cursor ? 'AND f.id < ?' : ''}
+     ORDER BY f.id DESC LIMIT ?`,
+    cursor ? [userId, cursor, limit + 1] : [userId, limit + 1]
+  );
+  const songs = rows.slice(0, limit);
+  return { songs, nextCursor: rows.length > limit ? songs[songs.length - 1].favourite_id : null };
+}
+
+async function addFavourite(userId, songId) {
+  const result = await queryPromise('INSERT IGNORE INTO user_favourites (user_id, song_id) VALUES (?, ?)', [
+    userId,
+    songId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+async function removeFavourite(userId, songId) {
+  const result = await queryPromise('DELETE FROM user_favourites WHERE user_id = ? AND song_id = ?', [
+    userId,
+    songId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  parsePlaylistInput,
+  parseSongIds,
+  findMissingSongs,
+  listPlaylists,
+  getOwnedPlaylist,
+  getPlaylistItems,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistItems,
+  removePlaylistItem,
+  reorderPlaylistItems,
+  sharePlaylist,
+  unsharePlaylist,
+  getSharedPlaylist,
+  listFavourites,
+  addFavourite,
+  removeFavourite,
+};
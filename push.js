@@ -0,0 +1,98 @@
+// Push delivery to devices. The app talks to a provider with one method:
+//
+//   send({ tokens, title, body, data }) -> Promise<[{ token, ok, unregistered, error }]>
+//
+// with one result per token; `unregistered` marks tokens the device no longer answers to.
+// PUSH_PROVIDER picks "firebase" (default, Firebase Cloud Messaging) or "fake", which logs
+// pushes and keeps them in memory. Another provider can be plugged in with setPushProvider().
+
+// FCM accepts at most this many tokens per multicast
+const MAX_TOKENS_PER_BATCH = 500;
+const UNREGISTERED_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// FCM data payloads only carry strings
+function stringifyData(data) {
+  const payload = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (value !== null && value !== undefined) payload[key] = String(value);
+  }
+  return payload;
+}
+
+function createFirebaseProvider() {
+  // Loaded on first use: it needs FIREBASE_CONFIG, which the fake provider doesn't
+  const admin = require('./firebase');
+  return {
+    async send({ tokens, title, body, data }) {
+      const results = [];
+      for (let start = 0; start < tokens.length; start += MAX_TOKENS_PER_BATCH) {
+        const batch = tokens.slice(start, start + MAX_TOKENS_PER_BATCH);
+        const response = await admin.messaging().sendEachForMulticast({
+          tokens: batch,
+          notification: { title, body },
+          data: stringifyData(data),
+        });
+        response.responses.forEach((result, index) => {
+          const code = result.error ? result.error.code : null;
+          results.push({
+            token: batch[index],
+            ok: result.success,
+            unregistered: UNREGISTERED_CODES.includes(code),
+            error: code,
+          });
+        });
+      }
+      return results;
+    },
+  };
+}
+
+// Records what would have been pushed. Tokens added to `unregistered` fail the way FCM reports
+// uninstalled apps.
+function createFakePushProvider() {
+  const provider = {
+    sent: [],
+    unregistered: new Set(),
+    async send({ tokens, title, body, data }) {
+      provider.sent.push({ tokens, title, body, data, sent_at: new Date().toISOString() });
+      console.log(`🔔 [push] to ${tokens.length} device(s) | ${title}: ${body}`);
+      return tokens.map(token => {
+        const unregistered = provider.unregistered.has(token);
+        return {
+          token,
+          ok: !unregistered,
+          unregistered,
+          error: unregistered ? 'messaging/registration-token-not-registered' : null,
+        };
+      });
+    },
+  };
+  return provider;
+}
+
+function createDefaultProvider() {
+  const kind = process.env.PUSH_PROVIDER || 'firebase';
+  if (kind === 'fake') return createFakePushProvider();
+  if (kind !== 'firebase') console.warn(`Unknown PUSH_PROVIDER "${kind}", using firebase`);
+  return createFirebaseProvider();
+}
+
+let provider = null;
+
+function getPushProvider() {
+  if (!provider) provider = createDefaultProvider();
+  return provider;
+}
+
+function setPushProvider(customProvider) {
+  if (!customProvider || typeof customProvider.send !== 'function') {
+    throw new Error('Push provider must have a send() method');
+  }
+  provider = customProvider;
+}
+
+async function sendPush(message) {
+  return getPushProvider().send(message);
+}
+
+module.exports = { sendPush, setPushProvider, createFakePushProvider };
@@ -0,0 +1,219 @@
+const moment = require('moment-timezone');
+
+// Subset of RFC 5545 RRULE: DAILY, WEEKLY with BYDAY, MONTHLY by BYMONTHDAY or nth BYDAY,
+// ending with UNTIL or COUNT
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']; // ISO order, index + 1 = isoWeekday()
+const WEEKDAY_NAMES = {
+  monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA', sunday: 'SU',
+};
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+// Stops runaway iteration for rules that can never match (e.g. the 31st every other February)
+const MAX_PERIODS = 5000;
+
+function parseWeekday(value) {
+  const text = String(value).trim();
+  const code = WEEKDAY_NAMES[text.toLowerCase()] || text.toUpperCase();
+  if (!WEEKDAYS.includes(code)) throw new Error(`Invalid weekday: ${value}`);
+  return code;
+}
+
+function parsePositiveInt(value, name, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new Error(`${name} must be an integer between 1 and ${max}`);
+  }
+  return number;
+}
+
+// "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6" -> { freq: 'monthly', byweekday: ['FR'], bysetpos: -1, count: 6 }
+function rruleToObject(rrule) {
+  const fields = {};
+  for (const part of rrule.replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [key, value] = part.split('=');
+    if (!value) throw new Error(`Invalid RRULE part: ${part}`);
+    fields[key.toUpperCase()] = value;
+  }
+
+  const rule = {
+    freq: fields.FREQ && fields.FREQ.toLowerCase(),
+    interval: fields.INTERVAL,
+    bymonthday: fields.BYMONTHDAY,
+    count: fields.COUNT,
+  };
+
+  if (fields.BYDAY) {
+    rule.byweekday = fields.BYDAY.split(',').map(day => {
+      const match = day.match(/^([+-]?\d)?([A-Z]{2})$/i);
+      if (!match) throw new Error(`Invalid BYDAY value: ${day}`);
+      if (match[1]) rule.bysetpos = Number(match[1]);
+      return match[2];
+    });
+  }
+  if (fields.UNTIL) {
+    const until = moment.utc(fields.UNTIL.slice(0, 8), 'YYYYMMDD', true);
+    if (!until.isValid()) throw new Error(`Invalid UNTIL value: ${fields.UNTIL}`);
+    rule.until = until.format('YYYY-MM-DD');
+  }
+  return rule;
+}
+
+// Accepts an RRULE string or an object and returns a normalized rule; throws on invalid input
+function parseRecurrence(input) {
+  const raw = typeof input === 'string' ? rruleToObject(input) : input;
+  if (!raw || typeof raw !== 'object') throw new Error('Recurrence must be an RRULE string or an object');
+
+  const freq = String(raw.freq || '').toLowerCase();
+  if (!FREQUENCIES.includes(freq)) throw new Error(`Recurrence freq must be one of: ${FREQUENCIES.join(', ')}`);
+
+  const rule = {
+    freq,
+    interval: raw.interval === undefined ? 1 : parsePositiveInt(raw.interval, 'interval', MAX_INTERVAL),
+    byweekday: [],
+    bymonthday: null,
+    bysetpos: null,
+    until: null,
+    count: null,
+  };
+
+  if (raw.byweekday !== undefined) {
+    const days = Array.isArray(raw.byweekday) ? raw.byweekday : [raw.byweekday];
+    rule.byweekday = [...new Set(days.map(parseWeekday))].sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  }
+  if (raw.bymonthday !== undefined && raw.bymonthday !== null) {
+    const day = Number(raw.bymonthday);
+    if (day !== -1 && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+      throw new Error('bymonthday must be between 1 and 31, or -1 for the last day');
+    }
+    rule.bymonthday = day;
+  }
+  if (raw.bysetpos !== undefined && raw.bysetpos !== null) {
+    const position = Number(raw.bysetpos);
+    if (![1, 2, 3, 4, -1].includes(position)) throw new Error('bysetpos must be 1, 2, 3, 4 or -1');
+    rule.bysetpos = position;
+  }
+
+  if (freq === 'daily' && (rule.byweekday.length || rule.bymonthday || rule.bysetpos)) {
+    throw new Error('Daily recurrence does not accept weekday or month-day options');
+  }
+  if (freq === 'weekly' && (rule.bymonthday || rule.bysetpos)) {
+    throw new Error('Weekly recurrence only accepts byweekday');
+  }
+  if (freq === 'monthly') {
+    if (rule.bymonthday && (rule.bysetpos || rule.byweekday.length)) {
+      throw new Error('Monthly recurrence is either by month day or by nth weekday, not both');
+    }
+    if ((rule.bysetpos !== null) !== (rule.byweekday.length > 0) || rule.byweekday.length > 1) {
+      throw new Error('Monthly nth-weekday recurrence needs exactly one byweekday and a bysetpos');
+    }
+  }
+
+  if (raw.until && raw.count) throw new Error('Recurrence can end with until or count, not both');
+  if (raw.until) {
+    const until = moment(raw.until, 'YYYY-MM-DD', true);
+    if (!until.isValid()) throw new Error('until must be a YYYY-MM-DD date');
+    rule.until = until.format('YYYY-MM-DD');
+  }
+  if (raw.count) rule.count = parsePositiveInt(raw.count, 'count', MAX_COUNT);
+
+  return rule;
+}
+
+function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byweekday.length) {
+    const prefix = rule.bysetpos === null ? '' : rule.bysetpos;
+    parts.push(`BYDAY=${rule.byweekday.map(day => `${prefix}${day}`).join(',')}`);
+  }
+  if (rule.bymonthday) parts.push(`BYMONTHDAY=${rule.bymonthday}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+function withAnchorTime(day, anchor) {
+  return day.clone().set({
+    hour: anchor.hour(),
+    minute: anchor.minute(),
+    second: anchor.second(),
+    millisecond: 0,
+  });
+}
+
+// Candidate dates of the nth period (day, week or month) counted from the anchor
+function candidatesForPeriod(rule, anchor, period) {
+  const step = period * rule.interval;
+
+  if (rule.freq === 'daily') {
+    return [anchor.clone().add(step, 'days')];
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekStart = anchor.clone().startOf('isoWeek').add(step, 'weeks');
+    const days = rule.byweekday.length ? rule.byweekday : [WEEKDAYS[anchor.isoWeekday() - 1]];
+    return days.map(day => withAnchorTime(weekStart.clone().isoWeekday(WEEKDAYS.indexOf(day) + 1), anchor));
+  }
+
+  const month = anchor.clone().startOf('month').add(step, 'months');
+  if (rule.bysetpos !== null) {
+    const isoDay = WEEKDAYS.indexOf(rule.byweekday[0]) + 1;
+    let day;
+    if (rule.bysetpos === -1) {
+      day = month.clone().endOf('month');
+      while (day.isoWeekday() !== isoDay) day.subtract(1, 'day');
+    } else {
+      day = month.clone();
+      while (day.isoWeekday() !== isoDay) day.add(1, 'day');
+      day.add(rule.bysetpos - 1, 'weeks');
+      if (day.month() !== month.month()) return [];
+    }
+    return [withAnchorTime(day, anchor)];
+  }
+
+  const monthDay = rule.bymonthday || anchor.date();
+  if (monthDay === -1) return [withAnchorTime(month.clone().endOf('month'), anchor)];
+  if (monthDay > month.daysInMonth()) return [];
+  return [withAnchorTime(month.clone().date(monthDay), anchor)];
+}
+
+// Yields every occurrence of the series in order. The anchor (the first due date) always counts
+// as the first occurrence, as DTSTART does in RFC 5545.
+function* generateOccurrences(rule, anchor) {
+  const until = rule.until ? moment.tz(rule.until, 'YYYY-MM-DD', anchor.tz()).endOf('day') : null;
+
+  yield anchor.clone();
+  let produced = 1;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const candidate of candidatesForPeriod(rule, anchor, period)) {
+      if (!candidate.isAfter(anchor)) continue;
+      if (until && candidate.isAfter(until)) return;
+      if (rule.count && produced >= rule.count) return;
+      yield candidate;
+      produced++;
+    }
+  }
+}
+
+// First occurrence strictly after `after`, or null when the series has ended
+function nextOccurrence(rule, anchor, after) {
+  for (const occurrence of generateOccurrences(rule, anchor)) {
+    if (occurrence.isAfter(after)) return occurrence;
+  }
+  return null;
+}
+
+// Up to `limit` occurrences at or after `from`
+function upcomingOccurrences(rule, anchor, from, limit) {
+  const occurrences = [];
+  for (const occurrence of generateOccurrences(rule, anchor)) {
+    if (occurrences.length >= limit) break;
+    if (!occurrence.isBefore(from)) occurrences.push(occurrence);
+  }
+  return occurrences;
+}
+
+module.exports = { parseRecurrence, formatRecurrence, nextOccurrence, upcomingOccurrences };
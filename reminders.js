@@ -0,0 +1,268 @@
+const os = require('os');
+const schedule = require('node-schedule');
+const pool = require('./db');
+const { notifyUser } = require('./notifications');
+
+// Jobs armed by this instance, keyed by todo_reminders.id
+const scheduledReminderJobs = new Map();
+
+// Recorded on every delivery so we can tell which instance sent it
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+// What to do with reminders that came due while no instance was running:
+// 'send' delivers them late if they are inside the grace window, 'skip' marks them missed
+const CATCHUP_POLICY = process.env.REMINDER_CATCHUP_POLICY || 'send';
+const CATCHUP_GRACE_MINUTES = Number(process.env.REMINDER_CATCHUP_GRACE_MINUTES || 60);
+
+// Other instances may have created reminders since we started, so re-sync periodically
+const RESYNC_CRON = '*/5 * * * *';
+
+// Used when a user has not configured default offsets: remind at due time only
+const FALLBACK_OFFSETS = [0];
+const MAX_OFFSETS_PER_TODO = 10;
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
+
+const UNIT_MINUTES = {
+  minute: 1,
+  hour: 60,
+  day: 24 * 60,
+  week: 7 * 24 * 60,
+};
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+function armReminder(reminder) {
+  if (scheduledReminderJobs.has(reminder.id)) return;
+
+  const job = schedule.scheduleJob(reminder.remind_at, async () => {
+    scheduledReminderJobs.delete(reminder.id);
+    await deliverReminder(reminder.id);
+  });
+
+  if (!job) {
+    console.log(`Could not arm reminder ${reminder.id} for ${reminder.remind_at}`);
+    return;
+  }
+
+  scheduledReminderJobs.set(reminder.id, { job, todoId: reminder.todo_id });
+  console.log(`Scheduled reminder ${reminder.id} for todo ${reminder.todo_id} at ${reminder.remind_at}`);
+}
+
+// Claims the reminder before sending so that only one instance ever delivers it
+async function deliverReminder(reminderId) {
+  try {
+    const claim = await queryPromise(
+      `UPDATE todo_reminders SET status = 'sent', sent_at = ?, sent_by = ?
+       WHERE id = ? AND status = 'pending'`,
+      [new Date(), instanceId, reminderId]
+    );
+    if (claim.affectedRows === 0) {
+      console.log(`Reminder ${reminderId} already handled elsewhere, skipping`);
+      return;
+    }
+
+    const [reminder] = await queryPromise(
+      `SELECT r.user_id, r.todo_id, r.offset_minutes, t.title FROM todo_reminders r
+       JOIN todos t ON t.id = r.todo_id
+       WHERE r.id = ?`,
+      [reminderId]
+    );
+    if (!reminder) return;
+
+    const body = reminder.offset_minutes > 0
+      ? `"${reminder.title}" is due in ${formatDuration(reminder.offset_minutes)}`
+      : reminder.title;
+    const outcome = await notifyUser(reminder.user_id, {
+      type: 'todo_reminder',
+      title: 'Todo Reminder',
+      body,
+      data: { todo_id: reminder.todo_id },
+    });
+
+    await queryPromise(
+      'UPDATE todo_reminders SET success_count = ?, failure_count = ? WHERE id = ?',
+      [outcome.successCount, outcome.failureCount, reminderId]
+    );
+  } catch (err) {
+    console.error(`Failed to deliver reminder ${reminderId}:`, err.message);
+  }
+}
+
+async function markReminderMissed(reminderId) {
+  await queryPromise(
+    "UPDATE todo_reminders SET status = 'missed' WHERE id = ? AND status = 'pending'",
+    [reminderId]
+  );
+  console.log(`Reminder ${reminderId} missed while offline, marked as missed`);
+}
+
+// Accepts minutes (30) or phrases like "1 day before", "30 minutes before", "at due time".
+// Returns the offset in minutes, or null when the value can't be understood.
+function parseReminderOffset(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_OFFSET_MINUTES ? value : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+  if (text === 'at due time' || text === 'on time') return 0;
+  if (/^\d+$/.test(text)) return parseReminderOffset(Number(text));
+
+  const match = text.match(/^(\d+)\s*(minute|min|hour|hr|day|week)s?(\s+before)?$/);
+  if (!match) return null;
+
+  const unit = { min: 'minute', hr: 'hour' }[match[2]] || match[2];
+  return parseReminderOffset(Number(match[1]) * UNIT_MINUTES[unit]);
+}
+
+function formatDuration(minutes) {
+  for (const unit of ['week', 'day', 'hour']) {
+    const size = UNIT_MINUTES[unit];
+    if (minutes % size === 0) {
+      const count = minutes / size;
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function formatReminderOffset(minutes) {
+  return minutes === 0 ? 'at due time' : `${formatDuration(minutes)} before`;
+}
+
+// Parses a list of offsets, dropping duplicates; throws on anything invalid
+function parseReminderOffsets(values) {
+  if (!Array.isArray(values)) throw new Error('Reminders must be an array of offsets');
+  if (values.length > MAX_OFFSETS_PER_TODO) {
+    throw new Error(`At most ${MAX_OFFSETS_PER_TODO} reminders are allowed`);
+  }
+
+  const offsets = values.map(value => {
+    const offset = parseReminderOffset(value);
+    if (offset === null) throw new Error(`Invalid reminder offset: ${JSON.stringify(value)}`);
+    return offset;
+  });
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+async function getUserDefaultOffsets(userId) {
+  const rows = await queryPromise(
+    'SELECT offset_minutes FROM user_reminder_defaults WHERE user_id = ? ORDER BY offset_minutes DESC',
+    [userId]
+  );
+  return rows.length ? rows.map(row => row.offset_minutes) : FALLBACK_OFFSETS;
+}
+
+async function setUserDefaultOffsets(userId, offsets) {
+  await queryPromise('DELETE FROM user_reminder_defaults WHERE user_id = ?', [userId]);
+  for (const offset of offsets) {
+    await queryPromise(
+      'INSERT INTO user_reminder_defaults (user_id, offset_minutes) VALUES (?, ?)',
+      [userId, offset]
+    );
+  }
+}
+
+async function setTodoReminderOffsets(todoId, offsets) {
+  await queryPromise('DELETE FROM todo_reminder_offsets WHERE todo_id = ?', [todoId]);
+  for (const offset of offsets) {
+    await queryPromise(
+      'INSERT INTO todo_reminder_offsets (todo_id, offset_minutes) VALUES (?, ?)',
+      [todoId, offset]
+    );
+  }
+}
+
+// Rebuilds the pending reminders of a todo from its offsets and current due date
+async function syncTodoReminders(todoId) {
+  await cancelReminders(todoId);
+
+  const [todo] = await queryPromise('SELECT user_id, status, due_date FROM todos WHERE id = ?', [todoId]);
+  if (!todo || !todo.due_date || ['completed', 'cancelled'].includes(todo.status)) return;
+
+  const dueAt = new Date(todo.due_date);
+  const offsets = await queryPromise(
+    'SELECT offset_minutes FROM todo_reminder_offsets WHERE todo_id = ?',
+    [todoId]
+  );
+
+  for (const { offset_minutes } of offsets) {
+    const remindAt = new Date(dueAt.getTime() - offset_minutes * 60 * 1000);
+    if (remindAt <= new Date()) {
+      console.log(`Reminder ${formatReminderOffset(offset_minutes)} already passed for todo ${todoId}, skipping`);
+      continue;
+    }
+
+    const result = await queryPromise(
+      'INSERT INTO todo_reminders (todo_id, user_id, offset_minutes, remind_at) VALUES (?, ?, ?, ?)',
+      [todoId, todo.user_id, offset_minutes, remindAt]
+    );
+    armReminder({ id: result.insertId, todo_id: Number(todoId), remind_at: remindAt });
+  }
+}
+
+async function cancelReminders(todoId) {
+  await queryPromise(
+    "UPDATE todo_reminders SET status = 'cancelled' WHERE todo_id = ? AND status = 'pending'",
+    [todoId]
+  );
+
+  for (const [reminderId, { job, todoId: armedTodoId }] of scheduledReminderJobs) {
+    if (armedTodoId === Number(todoId)) {
+      job.cancel();
+      scheduledReminderJobs.delete(reminderId);
+      console.log(`Cancelled reminder ${reminderId} for todo ${todoId}`);
+    }
+  }
+}
+
+// Arms every pending reminder and applies the catch-up policy to overdue ones
+async function restorePendingReminders() {
+  try {
+    const reminders = await queryPromise(
+      "SELECT id, todo_id, remind_at FROM todo_reminders WHERE status = 'pending'"
+    );
+    const now = Date.now();
+    let armed = 0;
+    let caughtUp = 0;
+    let missed = 0;
+
+    for (const reminder of reminders) {
+      if (scheduledReminderJobs.has(reminder.id)) continue;
+
+      const remindAt = new Date(reminder.remind_at);
+      if (remindAt.getTime() > now) {
+        armReminder({ ...reminder, remind_at: remindAt });
+        armed++;
+      } else if (CATCHUP_POLICY === 'send' && now - remindAt.getTime() <= CATCHUP_GRACE_MINUTES * 60 * 1000) {
+        await deliverReminder(reminder.id);
+        caughtUp++;
+      } else {
+        await markReminderMissed(reminder.id);
+        missed++;
+      }
+    }
+
+    console.log(`Reminders restored: ${armed} armed, ${caughtUp} caught up, ${missed} missed`);
+  } catch (err) {
+    console.error('Failed to restore pending reminders:', err.message);
+  }
+}
+
+async function startReminderScheduler() {
+  await restorePendingReminders();
+  schedule.scheduleJob(RESYNC_CRON, restorePendingReminders);
+}
+
+module.exports = {
+  MAX_OFFSETS_PER_TODO,
+  parseReminderOffsets,
+  formatReminderOffset,
+  getUserDefaultOffsets,
+  setUserDefaultOffsets,
+  setTodoReminderOffsets,
+  syncTodoReminders,
+  cancelReminders,
+  startReminderScheduler,
+};
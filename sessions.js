@@ -0,0 +1,142 @@
+// Sign-in sessions, one row in user_tokens per device.
+//
+// A session hands out short-lived access tokens (see auth.js) and a refresh token of the form
+// "<sessionId>.<secret>". Only a hash of the secret is stored, and every refresh replaces it.
+// Presenting the secret that was just replaced means two parties hold the same refresh token,
+// so the session is revoked and both have to sign in again.
+const crypto = require('crypto');
+const pool = require('./db');
+const { ACCESS_TOKEN_TTL_SECONDS, generateAccessToken } = require('./auth');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+// Sessions unused for this long expire; each refresh extends them
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function issueTokens(user, sessionId, secret) {
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId,
+  };
+}
+
+// Starts a session for a user who just proved their identity
+async function createSession(user, { deviceName = null, userAgent = null, ipAddress = null } = {}) {
+  const secret = newSecret();
+  const result = await queryPromise(
+    `INSERT INTO user_tokens
+       (user_id, refresh_token_hash, device_name, user_agent, ip_address, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP() + INTERVAL ? DAY)`,
+    [
+      user.id,
+      hashSecret(secret),
+      deviceName && String(deviceName).slice(0, 255),
+      userAgent && String(userAgent).slice(0, 512),
+      ipAddress,
+      REFRESH_TOKEN_TTL_DAYS,
+    ]
+  );
+  return issueTokens(user, result.insertId, secret);
+}
+
+// Swaps a refresh token for new tokens. Returns null when the token is not valid.
+async function refreshSession(refreshToken, { ipAddress = null } = {}) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!/^\d+$/.test(sessionId) || !secret) return null;
+
+  const rows = await queryPromise(
+    `SELECT ut.*, u.email, u.role FROM user_tokens ut JOIN users u ON u.id = ut.user_id
+     WHERE ut.id = ? AND ut.revoked_at IS NULL AND ut.expires_at > UTC_TIMESTAMP() AND u.status = 'active'`,
+    [sessionId]
+  );
+  if (rows.length === 0) return null;
+  const session = rows[0];
+  const hash = hashSecret(secret);
+
+  if (session.previous_refresh_hash === hash) {
+    console.warn(`Refresh token reuse detected for session ${session.id} (user ${session.user_id}); revoking it`);
+    await revokeSession(session.user_id, session.id, 'refresh_token_reuse');
+    return null;
+  }
+  if (session.refresh_token_hash !== hash) return null;
+
+  // Only the request that still sees the current hash wins a concurrent refresh
+  const next = newSecret();
+  const result = await queryPromise(
+    `UPDATE user_tokens SET previous_refresh_hash = refresh_token_hash, refresh_token_hash = ?,
+       last_used_at = UTC_TIMESTAMP(), ip_address = COALESCE(?, ip_address),
+       expires_at = UTC_TIMESTAMP() + INTERVAL ? DAY
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hashSecret(next), ipAddress, REFRESH_TOKEN_TTL_DAYS, session.id, hash]
+  );
+  if (result.affectedRows === 0) return null;
+
+  return issueTokens({ id: session.user_id, email: session.email, role: session.role }, session.id, next);
+}
+
+// Active sessions, most recently used first
+async function listSessions(userId) {
+  return queryPromise(
+    `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_tokens
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+}
+
+// Ends a session and unregisters the push token of its device. Returns false if there was none.
+async function revokeSession(userId, sessionId, reason = 'logout') {
+  const result = await queryPromise(
+    `UPDATE user_tokens SET revoked_at = UTC_TIMESTAMP(), revoked_reason = ?
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [reason, sessionId, userId]
+  );
+  await queryPromise('DELETE FROM user_fcm_tokens WHERE session_id = ? AND user_id = ?', [sessionId, userId]);
+  return result.affectedRows > 0;
+}
+
+// Signs the user out everywhere except exceptSessionId (null for everywhere). Returns the count.
+async function revokeOtherSessions(userId, exceptSessionId, reason = 'revoked') {
+  const result = await queryPromise(
+    `UPDATE user_tokens SET revoked_at = UTC_TIMESTAMP(), revoked_reason = ?
+     WHERE user_id = ? AND id <> ? AND revoked_at IS NULL`,
+    [reason, userId, exceptSessionId || 0]
+  );
+  await queryPromise(
+    `DELETE f FROM user_fcm_tokens f JOIN user_tokens ut ON ut.id = f.session_id
+     WHERE f.user_id = ? AND ut.revoked_at IS NOT NULL`,
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+// Links a device's push token to the session it signed in with, so logout can remove just that one
+async function registerFcmToken(userId, sessionId, fcmToken) {
+  await queryPromise(
+    `INSERT INTO user_fcm_tokens (user_id, session_id, fcm_token) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), session_id = VALUES(session_id),
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId, sessionId, fcmToken]
+  );
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  registerFcmToken,
+};
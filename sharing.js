@@ -0,0 +1,220 @@
+// Shared categories: the owner can invite other users as viewers (read only) or editors
+// (create, change and complete todos in it). A todo is visible to its creator and to everyone
+// with access to its category; its assignee may also complete it.
+const pool = require('./db');
+const { notifyUser } = require('./notifications');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const MEMBER_ROLES = ['viewer', 'editor'];
+
+// WHERE fragment matching the todos a user can see, for a todos table aliased as `alias`
+function visibleTodosClause(userId, alias = 'todos') {
+  return {
+    sql: `(${alias}.user_id = ? OR ${alias}.category_id IN (
+      SELECT id FROM categories WHERE user_id = ?
+      UNION SELECT category_id FROM category_members WHERE user_id = ?
+    ))`,
+    values: [userId, userId, userId],
+  };
+}
+
+// WHERE fragment matching the todos that are the user's to do: assigned to them, or created by
+// them and not assigned to anyone else
+function ownTodosClause(userId, alias = 'todos') {
+  return {
+    sql: `(${alias}.assignee_id = ? OR (${alias}.user_id = ? AND ${alias}.assignee_id IS NULL))`,
+    values: [userId, userId],
+  };
+}
+
+// The user's role in a category: 'owner', 'editor', 'viewer', or null without access
+async function getCategoryRole(categoryId, userId) {
+  const rows = await queryPromise(
+    `SELECT c.user_id, m.role FROM categories c
+     LEFT JOIN category_members m ON m.category_id = c.id AND m.user_id = ?
+     WHERE c.id = ?`,
+    [userId, categoryId]
+  );
+  if (rows.length === 0) return null;
+  if (rows[0].user_id === userId) return 'owner';
+  return rows[0].role || null;
+}
+
+// The todo with what the user may do with it: 'owner' (created it or owns its category),
+// 'editor' or 'viewer'. Returns null when the user can't see it.
+async function getTodoAccess(todoId, userId) {
+  const todos = await queryPromise('SELECT * FROM todos WHERE id = ?', [todoId]);
+  if (todos.length === 0) return null;
+
+  const todo = todos[0];
+  if (todo.user_id === userId) return { todo, role: 'owner' };
+  if (!todo.category_id) return null;
+
+  const role = await getCategoryRole(todo.category_id, userId);
+  return role ? { todo, role } : null;
+}
+
+function canEdit(role) {
+  return role === 'owner' || role === 'editor';
+}
+
+// Editors can complete any todo they can see; viewers only the ones assigned to them
+function canComplete(access, userId) {
+  return canEdit(access.role) || access.todo.assignee_id === userId;
+}
+
+// Categories the user owns plus those shared with them, with their role and member count
+async function listCategories(userId) {
+  return queryPromise(
+    `SELECT c.*, 'owner' AS role,
+       (SELECT COUNT(*) FROM category_members m WHERE m.category_id = c.id) AS member_count
+     FROM categories c WHERE c.user_id = ?
+     UNION ALL
+     SELECT c.*, m.role,
+       (SELECT COUNT(*) FROM category_members o WHERE o.category_id = c.id) AS member_count
+     FROM categories c JOIN category_members m ON m.category_id = c.id
+     WHERE m.user_id = ?
+     ORDER BY id`,
+    [userId, userId]
+  );
+}
+
+// The owner first, then members in the order they joined
+async function listMembers(categoryId) {
+  return queryPromise(
+    `SELECT u.id AS user_id, u.name, u.email, 'owner' AS role, c.created_at AS joined_at
+     FROM categories c JOIN users u ON u.id = c.user_id WHERE c.id = ?
+     UNION ALL
+     SELECT u.id, u.name, u.email, m.role, m.created_at
+     FROM category_members m JOIN users u ON u.id = m.user_id WHERE m.category_id = ?`,
+    [categoryId, categoryId]
+  );
+}
+
+// The user with this email or phone, or null
+async function findUserByIdentifier(identifier) {
+  const users = await queryPromise('SELECT id, name, email FROM users WHERE email = ? OR phone = ?', [
+    identifier,
+    identifier,
+  ]);
+  return users[0] || null;
+}
+
+// Adds the user to the category, or changes their role if they are already a member
+async function addMember(categoryId, userId, role, invitedBy) {
+  await queryPromise(
+    `INSERT INTO category_members (category_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+    [categoryId, userId, role, invitedBy]
+  );
+}
+
+async function updateMemberRole(categoryId, userId, role) {
+  const result = await queryPromise('UPDATE category_members SET role = ? WHERE category_id = ? AND user_id = ?', [
+    role,
+    categoryId,
+    userId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+// Todos assigned to the member in this category go back to unassigned
+async function removeMember(categoryId, userId) {
+  const result = await queryPromise('DELETE FROM category_members WHERE category_id = ? AND user_id = ?', [
+    categoryId,
+    userId,
+  ]);
+  if (result.affectedRows === 0) return false;
+  await queryPromise(
+    'UPDATE todos SET assignee_id = NULL, version = version + 1 WHERE category_id = ? AND assignee_id = ?',
+    [categoryId, userId]
+  );
+  return true;
+}
+
+// Whether a todo in this category (or with no category, created by ownerId) can be assigned to assigneeId
+async function canBeAssigned(categoryId, ownerId, assigneeId) {
+  if (assigneeId === ownerId) return true;
+  if (!categoryId) return false;
+  return (await getCategoryRole(categoryId, assigneeId)) !== null;
+}
+
+// Records a change to a todo or category for the activity feed
+async function recordActivity({ categoryId = null, todoId = null, actorId, action, details = null }) {
+  try {
+    await queryPromise(
+      'INSERT INTO todo_activity (category_id, todo_id, actor_id, action, details) VALUES (?, ?, ?, ?, ?)',
+      [categoryId, todoId, actorId, action, JSON.stringify(details)]
+    );
+  } catch (err) {
+    // The feed is informational; never fail the change itself because of it
+    console.error('Failed to record activity:', err.message);
+  }
+}
+
+// Changes in every category the user owns or belongs to (or just one), newest first;
+// the cursor is the last id seen
+async function listActivity(userId, { categoryId = null, limit, cursor }) {
+  const clauses = [
+    `a.category_id IN (
+      SELECT id FROM categories WHERE user_id = ?
+      UNION SELECT category_id FROM category_members WHERE user_id = ?
+    )`,
+  ];
+  const values = [userId, userId];
+  if (categoryId) {
+    clauses.push('a.category_id = ?');
+    values.push(categoryId);
+  }
+  if (cursor) {
+    clauses.push('a.id < ?');
+    values.push(cursor);
+  }
+
+  const rows = await queryPromise(
+    `SELECT a.*, u.name AS actor_name, t.title AS todo_title, c.name AS category_name
+     FROM todo_activity a
+     LEFT JOIN users u ON u.id = a.actor_id
+     LEFT JOIN todos t ON t.id = a.todo_id
+     LEFT JOIN categories c ON c.id = a.category_id
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY a.id DESC LIMIT ?`,
+    [...values, limit + 1]
+  );
+  const activity = rows.slice(0, limit);
+  return { activity, nextCursor: rows.length > limit ? activity[activity.length - 1].id : null };
+}
+
+// Tells the assignee "X assigned you ...", unless they assigned it to themselves
+async function notifyAssignee(todo, assigneeId, actorId) {
+  if (!assigneeId || assigneeId === actorId) return;
+  const [actor] = await queryPromise('SELECT name FROM users WHERE id = ?', [actorId]);
+  await notifyUser(assigneeId, {
+    type: 'todo_assigned',
+    title: 'Todo assigned to you',
+    body: `${actor && actor.name ? actor.name : 'Someone'} assigned you "${todo.title}".`,
+    data: { todo_id: todo.id },
+  });
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  visibleTodosClause,
+  ownTodosClause,
+  getCategoryRole,
+  getTodoAccess,
+  canEdit,
+  canComplete,
+  listCategories,
+  listMembers,
+  findUserByIdentifier,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  canBeAssigned,
+  recordActivity,
+  listActivity,
+  notifyAssignee,
+};
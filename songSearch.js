@@ -0,0 +1,202 @@
+const pool = require('./db');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+// How much a match in each column counts towards relevance
+const SEARCH_WEIGHTS = {
+  title: 5,
+  artist: 3,
+  movie: 3,
+  composers: 2,
+  label: 1,
+};
+const EXACT_TITLE_BONUS = 10;
+const MAX_SEARCH_TERMS = 5;
+const MAX_QUERY_LENGTH = 100;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Facets over plain columns are grouped on songs; artist and composers come from the link tables
+const COLUMN_FACETS = ['year', 'audio_lang', 'genre', 'label'];
+const LINKED_FACETS = {
+  artist: { table: 'artists', linkTable: 'song_artists', linkColumn: 'artist_id' },
+  composers: { table: 'composers', linkTable: 'song_composers', linkColumn: 'composer_id' },
+};
+const MAX_FACET_VALUES = 50;
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function encodeCursor(song, ranked) {
+  const position = ranked ? { s: song.relevance, id: song.id } : { id: song.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(position.id)) return position;
+  } catch (err) {
+    // fall through
+  }
+  throw new Error('Invalid cursor');
+}
+
+function parseYear(value, name) {
+  if (value === undefined) return null;
+  const year = Number(value);
+  if (!Number.isInteger(year)) throw new Error(`${name} must be a year`);
+  return year;
+}
+
+function parseList(value) {
+  if (value === undefined) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Validates query-string parameters; throws with a client-facing message on bad input
+function parseSongSearchParams(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const facets = parseList(query.facets);
+  for (const facet of facets) {
+    if (!COLUMN_FACETS.includes(facet) && !LINKED_FACETS[facet]) {
+      throw new Error(`Unknown facet "${facet}"`);
+    }
+  }
+
+  const q = String(query.q || '').trim();
+  if (q.length > MAX_QUERY_LENGTH) throw new Error(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  const terms = q.split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+
+  return {
+    q: terms.join(' '),
+    terms,
+    languages: parseList(query.lang),
+    genres: parseList(query.genre),
+    yearFrom: parseYear(query.yearFrom, 'yearFrom'),
+    yearTo: parseYear(query.yearTo, 'yearTo'),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    limit,
+    facets,
+  };
+}
+
+// WHERE clause shared by results and facets: every term must match some searchable column
+function buildFilters(params) {
+  const clauses = [];
+  const values = [];
+
+  for (const term of params.terms) {
+    const columns = Object.keys(SEARCH_WEIGHTS);
+    clauses.push(`(${columns.map(column => `${column} LIKE ?`).join(' OR ')})`);
+    values.push(...columns.map(() => `%${escapeLike(term)}%`));
+  }
+  if (params.languages.length) {
+    clauses.push(`audio_lang IN (${params.languages.map(() => '?').join(', ')})`);
+    values.push(...params.languages);
+  }
+  if (params.genres.length) {
+    clauses.push(`genre IN (${params.genres.map(() => '?').join(', ')})`);
+    values.push(...params.genres);
+  }
+  if (params.yearFrom !== null) {
+    clauses.push('CAST(year AS UNSIGNED) >= ?');
+    values.push(params.yearFrom);
+  }
+  if (params.yearTo !== null) {
+    clauses.push('CAST(year AS UNSIGNED) <= ?');
+    values.push(params.yearTo);
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', values };
+}
+
+// Integer score so that cursors can compare it exactly. NULL columns would null the whole sum.
+function buildRelevance(params) {
+  const parts = [];
+  const values = [];
+
+  for (const term of params.terms) {
+    for (const [column, weight] of Object.entries(SEARCH_WEIGHTS)) {
+      parts.push(`(COALESCE(${column}, '') LIKE ?) * ${weight}`);
+      values.push(`%${escapeLike(term)}%`);
+    }
+  }
+  parts.push(`(COALESCE(title, '') = ?) * ${EXACT_TITLE_BONUS}`);
+  values.push(params.q);
+
+  return { expression: parts.join(' + '), values };
+}
+
+// One page of songs, ranked by relevance when there is a search term, newest first otherwise
+async function searchSongs(params) {
+  const ranked = params.terms.length > 0;
+  const filters = buildFilters(params);
+  const relevance = ranked ? buildRelevance(params) : { expression: '0', values: [] };
+
+  let cursorClause = '';
+  const cursorValues = [];
+  if (params.cursor && ranked) {
+    cursorClause = 'WHERE relevance < ? OR (relevance = ? AND id < ?)';
+    cursorValues.push(params.cursor.s, params.cursor.s, params.cursor.id);
+  } else if (params.cursor) {
+    cursorClause = 'WHERE id < ?';
+    cursorValues.push(params.cursor.id);
+  }
+
+  const rows = await queryPromise(
+    `SELECT * FROM (
+       SELECT songs.*, ${relevance.expression} AS relevance FROM songs ${filters.where}
+     ) ranked
+     ${cursorClause}
+     ORDER BY ${ranked ? 'relevance DESC, ' : ''}id DESC
+     LIMIT ?`,
+    [...relevance.values, ...filters.values, ...cursorValues, params.limit + 1]
+  );
+
+  const hasMore = rows.length > params.limit;
+  const songs = rows.slice(0, params.limit);
+  const nextCursor = hasMore ? encodeCursor(songs[songs.length - 1], ranked) : null;
+
+  if (!ranked) songs.forEach(song => delete song.relevance);
+  return { songs, nextCursor };
+}
+
+// Counts per value for each requested facet, over the whole filtered result set
+async function songFacets(params) {
+  const filters = buildFilters(params);
+  const facets = {};
+
+  for (const facet of params.facets) {
+    if (COLUMN_FACETS.includes(facet)) {
+      facets[facet] = await queryPromise(
+        `SELECT ${facet} AS value, COUNT(*) AS count FROM songs ${filters.where}
+         GROUP BY ${facet} HAVING value IS NOT NULL AND value <> ''
+         ORDER BY count DESC, value LIMIT ?`,
+        [...filters.values, MAX_FACET_VALUES]
+      );
+      continue;
+    }
+
+    const { table, linkTable, linkColumn } = LINKED_FACETS[facet];
+    facets[facet] = await queryPromise(
+      `SELECT e.id, e.name AS value, COUNT(*) AS count FROM ${linkTable} l
+       JOIN ${table} e ON e.id = l.${linkColumn}
+       WHERE l.song_id IN (SELECT id FROM songs ${filters.where})
+       GROUP BY e.id, e.name
+       ORDER BY count DESC, value LIMIT ?`,
+      [...filters.values, MAX_FACET_VALUES]
+    );
+  }
+
+  return facets;
+}
+
+module.exports = { parseSongSearchParams, searchSongs, songFacets };
@@ -0,0 +1,149 @@
+// Completion statistics for GET /stats, over the todos that are the user's to do. Days and weeks
+// are calendar days and Monday-to-Sunday weeks in the user's timezone, so rows are bucketed here
+// rather than in SQL.
+const moment = require('moment-timezone');
+const pool = require('./db');
+const { ownTodosClause } = require('./sharing');
+const { TODO_PRIORITIES, CLOSED_STATUSES } = require('./todoSearch');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const STATS_INTERVALS = ['day', 'week'];
+const DEFAULT_PERIODS = { day: 30, week: 12 };
+const MAX_RANGE_DAYS = 366;
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Start of the day or week holding the date, as YYYY-MM-DD
+function periodOf(date, interval, tz) {
+  return moment(date).tz(tz).startOf(interval === 'week' ? 'isoWeek' : 'day').format(DATE_FORMAT);
+}
+
+function parseStatsDate(value, tz, name) {
+  const date = moment.tz(String(value), DATE_FORMAT, true, tz);
+  if (!date.isValid()) throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+  return date;
+}
+
+// ?from=&to= are dates in the user's timezone, both included; by default the last 30 days or
+// 12 weeks up to today. Throws with a client-facing message on bad input.
+function parseStatsQuery(query, tz) {
+  const interval = query.interval === undefined ? 'day' : String(query.interval);
+  if (!STATS_INTERVALS.includes(interval)) {
+    throw new Error(`interval must be one of: ${STATS_INTERVALS.join(', ')}`);
+  }
+
+  const to = query.to === undefined ? moment.tz(tz).startOf('day') : parseStatsDate(query.to, tz, 'to');
+  const from =
+    query.from === undefined
+      ? moment.tz(periodOf(to, interval, tz), tz).subtract(DEFAULT_PERIODS[interval] - 1, interval)
+      : parseStatsDate(query.from, tz, 'from');
+  if (from.isAfter(to)) throw new Error('from must not be after to');
+  if (to.diff(from, 'days') >= MAX_RANGE_DAYS) throw new Error(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+
+  return { interval, from, to, tz };
+}
+
+function emptyCounts() {
+  return { created: 0, completed: 0, on_time: 0, late: 0 };
+}
+
+// On time means completed no later than the due date; todos without one are neither
+function countTodo(counts, todo, inRange) {
+  if (inRange(todo.created_at)) counts.created++;
+  if (!inRange(todo.completed_at)) return;
+  counts.completed++;
+  if (todo.due_date) counts[todo.completed_at <= todo.due_date ? 'on_time' : 'late']++;
+}
+
+function withOnTimeRate(counts) {
+  const judged = counts.on_time + counts.late;
+  return { ...counts, on_time_rate: judged ? Math.round((counts.on_time / judged) * 1000) / 10 : null };
+}
+
+// Runs of consecutive days with at least one completion. A streak still counts as current until a
+// whole day passes without one, so it isn't lost first thing in the morning.
+function completionStreaks(days, tz) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous && moment.tz(day, tz).diff(moment.tz(previous, tz), 'days') === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const today = moment.tz(tz).format(DATE_FORMAT);
+  const yesterday = moment.tz(tz).subtract(1, 'day').format(DATE_FORMAT);
+  const current = previous === today || previous === yesterday ? run : 0;
+  return { current, longest, last_completed_on: previous };
+}
+
+async function todoStats(userId, { interval, from, to, tz }) {
+  const start = from.toDate();
+  const end = to.clone().add(1, 'day').toDate();
+  const inRange = date => date !== null && date >= start && date < end;
+  const own = ownTodosClause(userId, 't');
+
+  const [todos, completions, [open]] = await Promise.all([
+    queryPromise(
+      `SELECT t.created_at, t.completed_at, t.due_date, t.priority, t.category_id, c.name AS category_name
+       FROM todos t LEFT JOIN categories c ON c.id = t.category_id
+       WHERE ${own.sql}
+         AND ((t.created_at >= ? AND t.created_at < ?) OR (t.completed_at >= ? AND t.completed_at < ?))`,
+      [...own.values, start, end, start, end]
+    ),
+    queryPromise(
+      `SELECT t.completed_at FROM todos t
+       WHERE ${own.sql} AND t.status = 'completed' AND t.completed_at IS NOT NULL ORDER BY t.completed_at`,
+      own.values
+    ),
+    queryPromise(
+      `SELECT COUNT(*) AS open, COALESCE(SUM(t.due_date < ?), 0) AS overdue FROM todos t
+       WHERE ${own.sql} AND t.status NOT IN (?)`,
+      [new Date(), ...own.values, CLOSED_STATUSES]
+    ),
+  ]);
+
+  // Every period in the range, including empty ones
+  const series = new Map();
+  const periodStart = moment.tz(periodOf(start, interval, tz), tz);
+  while (periodStart.isSameOrBefore(to)) {
+    series.set(periodStart.format(DATE_FORMAT), emptyCounts());
+    periodStart.add(1, interval);
+  }
+
+  const totals = emptyCounts();
+  const byPriority = new Map(TODO_PRIORITIES.map(priority => [priority, emptyCounts()]));
+  const byCategory = new Map();
+  for (const todo of todos) {
+    countTodo(totals, todo, inRange);
+    // priority is nullable; todos without one (or with an unknown one) get a "none" row
+    const priority = TODO_PRIORITIES.includes(todo.priority) ? todo.priority : 'none';
+    if (!byPriority.has(priority)) byPriority.set(priority, emptyCounts());
+    countTodo(byPriority.get(priority), todo, inRange);
+
+    const key = todo.category_id || 'none';
+    if (!byCategory.has(key)) {
+      byCategory.set(key, { category_id: todo.category_id, name: todo.category_name || null, ...emptyCounts() });
+    }
+    countTodo(byCategory.get(key), todo, inRange);
+
+    if (inRange(todo.created_at)) series.get(periodOf(todo.created_at, interval, tz)).created++;
+    if (inRange(todo.completed_at)) series.get(periodOf(todo.completed_at, interval, tz)).completed++;
+  }
+
+  const completionDays = [...new Set(completions.map(row => periodOf(row.completed_at, 'day', tz)))];
+  return {
+    range: { from: from.format(DATE_FORMAT), to: to.format(DATE_FORMAT), interval, timezone: tz },
+    totals: { ...withOnTimeRate(totals), open: Number(open.open), overdue: Number(open.overdue) },
+    series: [...series].map(([period, counts]) => ({ period, created: counts.created, completed: counts.completed })),
+    streaks: completionStreaks(completionDays, tz),
+    by_priority: [...byPriority].map(([priority, counts]) => ({ priority, ...withOnTimeRate(counts) })),
+    by_category: [...byCategory.values()]
+      .map(withOnTimeRate)
+      .sort((a, b) => b.created + b.completed - (a.created + a.completed)),
+  };
+}
+
+module.exports = { parseStatsQuery, todoStats };
@@ -0,0 +1,161 @@
+// Audio files for GET /public/songs/:id/stream.
+//
+// A song's local_mp3 (relative to MEDIA_DIR) is served when the file is there. Otherwise its
+// file_url is downloaded once into an on-disk cache of at most STREAM_CACHE_MAX_MB, evicting the
+// least recently played files first. Songs served from disk get Range requests, Content-Type and
+// ETag from the route; while a song's download is still running, listeners are streamed the
+// upstream response instead, with their Range header passed on.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(__dirname, 'media'));
+const CACHE_DIR = path.resolve(process.env.STREAM_CACHE_DIR || path.join(os.tmpdir(), 'assister-stream-cache'));
+const CACHE_MAX_BYTES = Number(process.env.STREAM_CACHE_MAX_MB || 1024) * 1024 * 1024;
+const MAX_FILE_BYTES = 100 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+// How long the audio source gets to start answering a listener; the body itself may take longer
+const UPSTREAM_RESPONSE_TIMEOUT_MS = 15 * 1000;
+// Upstream headers passed on to a listener
+const PROXIED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges'];
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.ogg', '.opus', '.wav', '.flac'];
+
+// Downloads in progress by URL, so concurrent listeners share one download
+const pendingDownloads = new Map();
+
+function upstreamError(message) {
+  const err = new Error(message);
+  err.code = 'UPSTREAM_ERROR';
+  return err;
+}
+
+// local_mp3 values were recorded on Windows ("songs\\name.mp3"). Paths escaping MEDIA_DIR are ignored.
+function resolveLocalFile(relativePath) {
+  if (!relativePath) return null;
+  const file = path.resolve(MEDIA_DIR, relativePath.replace(/\\/g, '/'));
+  if (!file.startsWith(MEDIA_DIR + path.sep)) return null;
+  return fs.existsSync(file) ? file : null;
+}
+
+// Cache file name for a URL; keeps the audio extension so the Content-Type comes out right
+function cachePathFor(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (err) {
+    throw upstreamError('Invalid audio URL');
+  }
+  const extension = path.extname(pathname).toLowerCase();
+  const hash = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(CACHE_DIR, `${hash}${AUDIO_EXTENSIONS.includes(extension) ? extension : '.mp3'}`);
+}
+
+async function download(url, file) {
+  const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) }).catch(
+    err => {
+      throw upstreamError(`Could not fetch audio: ${err.message}`);
+    }
+  );
+  if (!response.ok || !response.body) throw upstreamError(`Audio source responded with ${response.status}`);
+  if (Number(response.headers.get('content-length')) > MAX_FILE_BYTES) throw upstreamError('Audio file is too large');
+
+  await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+  const partial = `${file}.${process.pid}.part`;
+  let received = 0;
+  const limit = async function* (source) {
+    for await (const chunk of source) {
+      received += chunk.length;
+      if (received > MAX_FILE_BYTES) throw upstreamError('Audio file is too large');
+      yield chunk;
+    }
+  };
+
+  try {
+    await pipeline(Readable.fromWeb(response.body), limit, fs.createWriteStream(partial));
+    await fs.promises.rename(partial, file);
+  } catch (err) {
+    await fs.promises.rm(partial, { force: true });
+    throw err.code === 'UPSTREAM_ERROR' ? err : upstreamError(`Could not fetch audio: ${err.message}`);
+  }
+}
+
+// Removes the least recently played files until the cache fits in CACHE_MAX_BYTES
+async function evictCache() {
+  const entries = [];
+  for (const name of await fs.promises.readdir(CACHE_DIR)) {
+    if (name.endsWith('.part')) continue;
+    const file = path.join(CACHE_DIR, name);
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (stats) entries.push({ file, size: stats.size, usedAt: stats.atimeMs });
+  }
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+  for (const entry of entries) {
+    if (total <= CACHE_MAX_BYTES) break;
+    await fs.promises.rm(entry.file, { force: true });
+    total -= entry.size;
+  }
+}
+
+// Starts downloading the URL into the cache unless that's already under way. Listeners don't wait
+// for it, so a failure is only logged; the next play tries again.
+function fillCache(url, file) {
+  if (pendingDownloads.has(url)) return;
+  const pending = download(url, file)
+    .then(() => evictCache().catch(err => console.error('Stream cache eviction failed:', err.message)))
+    .catch(err => console.error(`Caching ${url} failed:`, err.message))
+    .finally(() => pendingDownloads.delete(url));
+  pendingDownloads.set(url, pending);
+}
+
+// The audio source's response for one listener, asking for the same range they asked for
+async function fetchUpstream(url, range) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error('timed out')), UPSTREAM_RESPONSE_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(url, { redirect: 'follow', headers: range ? { range } : {}, signal: controller.signal });
+  } catch (err) {
+    throw upstreamError(`Could not fetch audio: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (response.status === 416) return { status: 416, headers: {}, body: null };
+  if (!response.ok || !response.body) throw upstreamError(`Audio source responded with ${response.status}`);
+
+  const headers = {};
+  for (const name of PROXIED_HEADERS) {
+    if (response.headers.has(name)) headers[name] = response.headers.get(name);
+  }
+  return { status: response.status, headers, body: Readable.fromWeb(response.body) };
+}
+
+async function remoteAudio(url, range) {
+  const file = cachePathFor(url);
+  const stats = pendingDownloads.has(url) ? null : await fs.promises.stat(file).catch(() => null);
+  if (stats) {
+    // Only the access time marks use; the modification time feeds the ETag and must not change
+    await fs.promises.utimes(file, new Date(), stats.mtime).catch(() => {});
+    return { file };
+  }
+
+  fillCache(url, file);
+  return { ...(await fetchUpstream(url, range)), extension: path.extname(file) };
+}
+
+// The song's audio, or null when it has none: { file } for a file on disk, or else the upstream
+// response to stream, { status, headers, body, extension } (body is null for a 416; extension is
+// for when the source sends no Content-Type).
+// Throws an error with code UPSTREAM_ERROR when file_url can't be fetched.
+async function getSongAudio(song, range) {
+  const local = resolveLocalFile(song.local_mp3);
+  if (local) return { file: local };
+  if (!song.file_url) return null;
+  return remoteAudio(song.file_url, range);
+}
+
+module.exports = { getSongAudio };
@@ -0,0 +1,274 @@
+// Subtasks (a checklist under a todo) and "blocked by" dependencies between todos.
+//
+// A todo can't be completed while any todo blocking it is still open, and a dependency that
+// would make a todo end up blocking itself, directly or through other todos, is refused.
+const pool = require('./db');
+const { CLOSED_STATUSES } = require('./todoSearch');
+const { visibleTodosClause } = require('./sharing');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const SUBTASK_STATUSES = ['pending', 'completed'];
+const MAX_TITLE_LENGTH = 255;
+const MAX_SUBTASKS = 100;
+
+// Runs fn(query) on one connection inside a transaction, so positions never end up half-updated
+async function withTransaction(fn) {
+  const connection = await pool.getConnection();
+  const query = (sql, params = []) => connection.query(sql, params).then(([rows]) => rows);
+  try {
+    await connection.beginTransaction();
+    const result = await fn(query);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ---------- Subtasks ----------
+
+// Validates title/status from a request body; `partial` allows either to be left out
+function parseSubtaskInput(input, { partial = false } = {}) {
+  const subtask = {};
+
+  if (input.title !== undefined || !partial) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title) throw new Error('title is required');
+    if (title.length > MAX_TITLE_LENGTH) throw new Error(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+    subtask.title = title;
+  }
+  if (input.status !== undefined) {
+    if (!SUBTASK_STATUSES.includes(input.status)) {
+      throw new Error(`status must be one of: ${SUBTASK_STATUSES.join(', ')}`);
+    }
+    subtask.status = input.status;
+  }
+  if (partial && Object.keys(subtask).length === 0) throw new Error('Nothing to update');
+  return subtask;
+}
+
+async function listSubtasks(todoId) {
+  return queryPromise(
+    `SELECT id, title, status, position, completed_at, created_at, updated_at
+     FROM todo_subtasks WHERE todo_id = ? ORDER BY position`,
+    [todoId]
+  );
+}
+
+// { total, completed, percent } for each of the todos, keyed by todo id; todos without
+// subtasks are left out
+async function subtaskProgress(todoIds) {
+  const progress = new Map();
+  if (todoIds.length === 0) return progress;
+
+  const rows = await queryPromise(
+    `SELECT todo_id, COUNT(*) AS total, SUM(status = 'completed') AS completed
+     FROM todo_subtasks WHERE todo_id IN (?) GROUP BY todo_id`,
+    [todoIds]
+  );
+  for (const row of rows) {
+    const completed = Number(row.completed);
+    progress.set(row.todo_id, {
+      total: row.total,
+      completed,
+      percent: Math.round((completed / row.total) * 100),
+    });
+  }
+  return progress;
+}
+
+// Appends a subtask. Returns its id, or null when the todo already has MAX_SUBTASKS.
+async function addSubtask(todoId, { title, status = 'pending' }) {
+  return withTransaction(async query => {
+    // Lock the todo row so concurrent adds don't hand out the same position
+    await query('SELECT id FROM todos WHERE id = ? FOR UPDATE', [todoId]);
+    const [{ count }] = await query('SELECT COUNT(*) AS count FROM todo_subtasks WHERE todo_id = ?', [todoId]);
+    if (count >= MAX_SUBTASKS) return null;
+
+    const result = await query(
+      `INSERT INTO todo_subtasks (todo_id, title, status, position, completed_at)
+       VALUES (?, ?, ?, ?, IF(? = 'completed', UTC_TIMESTAMP(), NULL))`,
+      [todoId, title, status, count, status]
+    );
+    return result.insertId;
+  });
+}
+
+// Returns the updated subtask, or null if the todo has no such subtask
+async function updateSubtask(todoId, subtaskId, changes) {
+  const columns = Object.keys(changes);
+  const result = await queryPromise(
+    `UPDATE todo_subtasks SET ${columns.map(column => `${column} = ?`).join(', ')},
+       completed_at = CASE WHEN status = 'completed' THEN COALESCE(completed_at, UTC_TIMESTAMP()) END
+     WHERE id = ? AND todo_id = ?`,
+    [...columns.map(column => changes[column]), subtaskId, todoId]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const rows = await queryPromise(
+    'SELECT id, title, status, position, completed_at, created_at, updated_at FROM todo_subtasks WHERE id = ?',
+    [subtaskId]
+  );
+  return rows[0];
+}
+
+async function deleteSubtask(todoId, subtaskId) {
+  return withTransaction(async query => {
+    const [subtask] = await query('SELECT position FROM todo_subtasks WHERE id = ? AND todo_id = ? FOR UPDATE', [
+      subtaskId,
+      todoId,
+    ]);
+    if (!subtask) return false;
+
+    await query('DELETE FROM todo_subtasks WHERE id = ?', [subtaskId]);
+    await query('UPDATE todo_subtasks SET position = position - 1 WHERE todo_id = ? AND position > ?', [
+      todoId,
+      subtask.position,
+    ]);
+    return true;
+  });
+}
+
+// subtaskIds must list every subtask of the todo exactly once, in the new order; returns false if not
+async function reorderSubtasks(todoId, subtaskIds) {
+  return withTransaction(async query => {
+    const rows = await query('SELECT id FROM todo_subtasks WHERE todo_id = ? FOR UPDATE', [todoId]);
+    const current = new Set(rows.map(row => row.id));
+    const complete =
+      subtaskIds.length === current.size &&
+      new Set(subtaskIds).size === subtaskIds.length &&
+      subtaskIds.every(id => current.has(id));
+    if (!complete) return false;
+
+    for (const [position, subtaskId] of subtaskIds.entries()) {
+      await query('UPDATE todo_subtasks SET position = ? WHERE id = ?', [position, subtaskId]);
+    }
+    return true;
+  });
+}
+
+// Gives a new occurrence of a recurring todo the same checklist, unticked
+async function copySubtasks(fromTodoId, toTodoId) {
+  await queryPromise(
+    `INSERT INTO todo_subtasks (todo_id, title, status, position)
+     SELECT ?, title, 'pending', position FROM todo_subtasks WHERE todo_id = ?`,
+    [toTodoId, fromTodoId]
+  );
+}
+
+// ---------- Dependencies ----------
+
+const DEPENDENCY_COLUMNS = 't.id, t.title, t.status, t.due_date, t.user_id, t.category_id';
+
+// Dependency rows for `sql`, which selects DEPENDENCY_COLUMNS and `{visible} AS visible` from todos
+// aliased as t. Todos the viewer can't see are reduced to their id, so
+// linking a shared todo to a private one doesn't reveal the private one.
+async function dependencyRows(sql, values, viewerId) {
+  const visible = viewerId === null ? { sql: 'TRUE', values: [] } : visibleTodosClause(viewerId, 't');
+  const rows = await queryPromise(sql.replace('{visible}', visible.sql), [...visible.values, ...values]);
+  return rows.map(({ visible: canSee, ...todo }) => (canSee ? todo : { id: todo.id, hidden: true }));
+}
+
+// The todos blocking this one and the todos it blocks, as the viewer may see them
+async function listDependencies(todoId, viewerId) {
+  const [blockedBy, blocking] = await Promise.all([
+    dependencyRows(
+      `SELECT ${DEPENDENCY_COLUMNS}, {visible} AS visible
+       FROM todo_dependencies d JOIN todos t ON t.id = d.blocked_by_id
+       WHERE d.todo_id = ? ORDER BY t.id`,
+      [todoId],
+      viewerId
+    ),
+    dependencyRows(
+      `SELECT ${DEPENDENCY_COLUMNS}, {visible} AS visible
+       FROM todo_dependencies d JOIN todos t ON t.id = d.todo_id
+       WHERE d.blocked_by_id = ? ORDER BY t.id`,
+      [todoId],
+      viewerId
+    ),
+  ]);
+  return { blocked_by: blockedBy, blocking };
+}
+
+// Blockers of the todo that are neither completed nor cancelled. With a viewer, the ones they
+// can't see are reduced to their id.
+async function openBlockers(todoId, viewerId = null) {
+  return dependencyRows(
+    `SELECT ${DEPENDENCY_COLUMNS}, {visible} AS visible
+     FROM todo_dependencies d JOIN todos t ON t.id = d.blocked_by_id
+     WHERE d.todo_id = ? AND t.status NOT IN (?) ORDER BY t.id`,
+    [todoId, CLOSED_STATUSES],
+    viewerId
+  );
+}
+
+// Whether todoId is reachable from blockerId by following "blocked by" links, in which case
+// making todoId blocked by blockerId would close a cycle
+async function createsCycle(query, todoId, blockerId) {
+  if (todoId === blockerId) return true;
+
+  const seen = new Set([blockerId]);
+  let frontier = [blockerId];
+  while (frontier.length) {
+    const rows = await query('SELECT blocked_by_id FROM todo_dependencies WHERE todo_id IN (?)', [frontier]);
+    frontier = [];
+    for (const { blocked_by_id: id } of rows) {
+      if (id === todoId) return true;
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+  return false;
+}
+
+// Marks todoId as blocked by blockerId. Returns 'added', 'exists' or 'cycle'.
+async function addDependency(todoId, blockerId, createdBy) {
+  return withTransaction(async query => {
+    // Lock both todos so two requests can't link the same pair in opposite directions at once
+    await query('SELECT id FROM todos WHERE id IN (?) ORDER BY id FOR UPDATE', [[todoId, blockerId]]);
+    const existing = await query('SELECT 1 FROM todo_dependencies WHERE todo_id = ? AND blocked_by_id = ?', [
+      todoId,
+      blockerId,
+    ]);
+    if (existing.length) return 'exists';
+    if (await createsCycle(query, todoId, blockerId)) return 'cycle';
+
+    await query('INSERT INTO todo_dependencies (todo_id, blocked_by_id, created_by) VALUES (?, ?, ?)', [
+      todoId,
+      blockerId,
+      createdBy,
+    ]);
+    return 'added';
+  });
+}
+
+async function removeDependency(todoId, blockerId) {
+  const result = await queryPromise('DELETE FROM todo_dependencies WHERE todo_id = ? AND blocked_by_id = ?', [
+    todoId,
+    blockerId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  SUBTASK_STATUSES,
+  parseSubtaskInput,
+  listSubtasks,
+  subtaskProgress,
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks,
+  copySubtasks,
+  listDependencies,
+  openBlockers,
+  addDependency,
+  removeDependency,
+};
@@ -0,0 +1,525 @@
+// Offline-first sync of todos and categories.
+//
+// GET /sync?since= returns the records that changed for the user since an earlier sync, plus the
+// ids of the ones deleted or no longer shared with them (from tombstones). POST /sync applies a
+// batch of changes made offline. Each change may carry the version it was based on (base_version)
+// or the time the client made it (updated_at); if the server's copy moved on in the meantime the
+// change is reported as a conflict together with the server's copy, unless it says force: true.
+// With neither, the last write wins.
+const schedule = require('node-schedule');
+const pool = require('./db');
+const { parseUserDate, formatUserDate } = require('./timezone');
+const {
+  visibleTodosClause,
+  getCategoryRole,
+  getTodoAccess,
+  canEdit,
+  canComplete,
+  canBeAssigned,
+} = require('./sharing');
+const { TODO_STATUSES, TODO_PRIORITIES } = require('./todoSearch');
+const { parseTagNames, setTodoTags, tagsForTodos } = require('./tags');
+const { openBlockers } = require('./subtasks');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+// Clients that haven't synced for longer than this have missed tombstones and must start over
+const TOMBSTONE_RETENTION_DAYS = Number(process.env.SYNC_TOMBSTONE_DAYS || 90);
+const TOMBSTONE_PURGE_CRON = '30 3 * * *';
+
+const ENTITIES = ['todo', 'category'];
+const OPERATIONS = ['create', 'update', 'delete'];
+const MAX_MUTATIONS = 200;
+const MAX_CLIENT_ID_LENGTH = 64;
+const MAX_TITLE_LENGTH = 255;
+
+function rejection(message) {
+  const err = new Error(message);
+  err.code = 'SYNC_REJECTED';
+  return err;
+}
+
+// ---------- Tombstones ----------
+
+async function insertTombstones(rows, query = queryPromise) {
+  if (rows.length === 0) return;
+  await query('INSERT INTO sync_tombstones (user_id, entity_type, entity_id) VALUES ?', [rows]);
+}
+
+// Everyone who can see the todo: its creator, and the owner and members of its category
+async function todoAudience(todo) {
+  const rows = await queryPromise(
+    `SELECT ? AS user_id
+     UNION SELECT user_id FROM categories WHERE id = ?
+     UNION SELECT user_id FROM category_members WHERE category_id = ?`,
+    [todo.user_id, todo.category_id, todo.category_id]
+  );
+  return rows.map(row => row.user_id);
+}
+
+// Call before deleting the todo, while its category's members can still be looked up
+async function tombstoneTodo(todo) {
+  const audience = await todoAudience(todo);
+  await insertTombstones(audience.map(userId => [userId, 'todo', todo.id]));
+}
+
+// A todo moved to another category disappears for the collaborators of the old one
+async function tombstoneTodoMove(before, after) {
+  if (before.category_id === after.category_id) return;
+  const [was, is] = await Promise.all([todoAudience(before), todoAudience(after)]);
+  const kept = new Set(is);
+  await insertTombstones(was.filter(userId => !kept.has(userId)).map(userId => [userId, 'todo', before.id]));
+}
+
+// The category, and the todos in it that they didn't create, disappear for a removed member
+async function tombstoneCategoryAccess(categoryId, userId) {
+  const todos = await queryPromise('SELECT id FROM todos WHERE category_id = ? AND user_id <> ?', [categoryId, userId]);
+  await insertTombstones([[userId, 'category', Number(categoryId)], ...todos.map(todo => [userId, 'todo', todo.id])]);
+}
+
+// Runs fn(query) on one connection inside a transaction
+async function withTransaction(fn) {
+  const connection = await pool.getConnection();
+  const query = (sql, params = []) => connection.query(sql, params).then(([rows]) => rows);
+  try {
+    await connection.beginTransaction();
+    const result = await fn(query);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Deletes a category, if it still has the given version (any, when null); returns whether it did.
+// Its todos become uncategorised, so everyone but their creator loses them. The foreign key would
+// clear category_id too, but without touching version or updated_at. The category row stays locked
+// until the delete, so the tombstones and detached todos never outlive a delete that didn't happen.
+async function deleteCategory(categoryId, version = null) {
+  return withTransaction(async query => {
+    const [category] = await query('SELECT user_id, version FROM categories WHERE id = ? FOR UPDATE', [categoryId]);
+    if (!category || (version !== null && category.version !== version)) return false;
+
+    const members = await query('SELECT user_id FROM category_members WHERE category_id = ?', [categoryId]);
+    const audience = [...new Set([category.user_id, ...members.map(row => row.user_id)])];
+    const todos = await query('SELECT id, user_id FROM todos WHERE category_id = ?', [categoryId]);
+
+    const rows = audience.map(userId => [userId, 'category', Number(categoryId)]);
+    for (const todo of todos) {
+      for (const userId of audience) {
+        if (userId !== todo.user_id) rows.push([userId, 'todo', todo.id]);
+      }
+    }
+    await insertTombstones(rows, query);
+    await query('UPDATE todos SET category_id = NULL, version = version + 1 WHERE category_id = ?', [categoryId]);
+    await query('DELETE FROM categories WHERE id = ?', [categoryId]);
+    return true;
+  });
+}
+
+async function purgeTombstones() {
+  const result = await queryPromise('DELETE FROM sync_tombstones WHERE deleted_at < UTC_TIMESTAMP() - INTERVAL ? DAY', [
+    TOMBSTONE_RETENTION_DAYS,
+  ]);
+  if (result.affectedRows) console.log(`Purged ${result.affectedRows} sync tombstones`);
+}
+
+function scheduleTombstonePurge() {
+  schedule.scheduleJob(TOMBSTONE_PURGE_CRON, () =>
+    purgeTombstones().catch(err => console.error('Failed to purge sync tombstones:', err.message))
+  );
+}
+
+// ---------- Pulling changes ----------
+
+// `since` is the serverTime of an earlier sync. Throws when it is not a timestamp; returns
+// 'expired' when tombstones from then may already be gone, and null when there is none.
+function parseSince(value) {
+  if (value === undefined || value === '') return null;
+  const since = new Date(value);
+  if (Number.isNaN(since.getTime())) throw new Error('since must be the serverTime of an earlier sync');
+  if (Date.now() - since.getTime() > TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000) return 'expired';
+  return since;
+}
+
+function formatTodo(todo, tz, tags) {
+  return {
+    ...todo,
+    due_date: formatUserDate(todo.due_date, tz),
+    recurrence_start: formatUserDate(todo.recurrence_start, tz),
+    tags,
+  };
+}
+
+async function formatSyncedTodo(todo, tz) {
+  const tags = await tagsForTodos([todo.id]);
+  return formatTodo(todo, tz, tags.get(todo.id));
+}
+
+// Everything the user can see that changed at or after `since` (everything when null). Records may
+// come again in the next sync; clients should upsert by id.
+async function changesSince(user, since) {
+  const [{ now: serverTime }] = await queryPromise('SELECT UTC_TIMESTAMP() AS now');
+  const visible = visibleTodosClause(user.id);
+
+  let todoFilter = '';
+  let categoryFilter = '';
+  const todoValues = [];
+  const categoryValues = [];
+  if (since) {
+    // A category shared with the user since then arrives whole, with todos older than `since`
+    todoFilter = `AND (todos.updated_at >= ? OR todos.category_id IN (
+      SELECT category_id FROM category_members WHERE user_id = ? AND created_at >= ?
+    ))`;
+    todoValues.push(since, user.id, since);
+    categoryFilter = 'AND (c.updated_at >= ? OR m.created_at >= ?)';
+    categoryValues.push(since, since);
+  }
+
+  const todos = await queryPromise(`SELECT * FROM todos WHERE ${visible.sql} ${todoFilter} ORDER BY id`, [
+    ...visible.values,
+    ...todoValues,
+  ]);
+  const categories = await queryPromise(
+    `SELECT c.*, IF(c.user_id = ?, 'owner', m.role) AS role FROM categories c
+     LEFT JOIN category_members m ON m.category_id = c.id AND m.user_id = ?
+     WHERE (c.user_id = ? OR m.user_id IS NOT NULL) ${categoryFilter}
+     ORDER BY c.id`,
+    [user.id, user.id, user.id, ...categoryValues]
+  );
+
+  const deleted = { todos: [], categories: [] };
+  if (since) {
+    const present = { todo: new Set(todos.map(todo => todo.id)), category: new Set(categories.map(c => c.id)) };
+    const tombstones = await queryPromise(
+      'SELECT DISTINCT entity_type, entity_id FROM sync_tombstones WHERE user_id = ? AND deleted_at >= ?',
+      [user.id, since]
+    );
+    for (const { entity_type: type, entity_id: id } of tombstones) {
+      // Shared again since it was removed: the record itself is in the changes
+      if (present[type].has(id)) continue;
+      deleted[type === 'todo' ? 'todos' : 'categories'].push(id);
+    }
+  }
+
+  const tags = await tagsForTodos(todos.map(todo => todo.id));
+  return {
+    todos: todos.map(todo => formatTodo(todo, user.timezone, tags.get(todo.id))),
+    categories,
+    deleted,
+    serverTime,
+  };
+}
+
+// ---------- Pushing changes ----------
+
+// Validates the shape of a POST /sync batch; the fields of each record are checked as it is applied
+function parseMutations(input) {
+  if (!Array.isArray(input) || input.length === 0) throw new Error('mutations must be a non-empty array');
+  if (input.length > MAX_MUTATIONS) throw new Error(`At most ${MAX_MUTATIONS} mutations at a time`);
+
+  return input.map((mutation, index) => {
+    const at = `mutations[${index}]`;
+    if (!mutation || typeof mutation !== 'object') throw new Error(`${at} must be an object`);
+    const { op, entity } = mutation;
+    if (!OPERATIONS.includes(op)) throw new Error(`${at}.op must be one of: ${OPERATIONS.join(', ')}`);
+    if (!ENTITIES.includes(entity)) throw new Error(`${at}.entity must be one of: ${ENTITIES.join(', ')}`);
+
+    if (op === 'create') {
+      const valid = typeof mutation.client_id === 'string' && mutation.client_id.length > 0;
+      if (!valid || mutation.client_id.length > MAX_CLIENT_ID_LENGTH) {
+        throw new Error(`${at}.client_id must be a string of at most ${MAX_CLIENT_ID_LENGTH} characters`);
+      }
+    } else if (!Number.isInteger(mutation.id)) {
+      throw new Error(`${at}.id is required`);
+    }
+    if (op !== 'delete' && (!mutation.data || typeof mutation.data !== 'object')) {
+      throw new Error(`${at}.data is required`);
+    }
+    if (mutation.base_version !== undefined && !Number.isInteger(mutation.base_version)) {
+      throw new Error(`${at}.base_version must be an integer`);
+    }
+    const clientUpdatedAt = mutation.updated_at === undefined ? null : new Date(mutation.updated_at);
+    if (clientUpdatedAt && Number.isNaN(clientUpdatedAt.getTime())) {
+      throw new Error(`${at}.updated_at must be a timestamp`);
+    }
+
+    return {
+      index,
+      op,
+      entity,
+      id: mutation.id === undefined ? null : mutation.id,
+      clientId: mutation.client_id === undefined ? null : mutation.client_id,
+      baseVersion: mutation.base_version === undefined ? null : mutation.base_version,
+      clientUpdatedAt,
+      force: mutation.force === true,
+      data: mutation.data || {},
+    };
+  });
+}
+
+// Whether the server's copy changed after the client's copy was taken
+function isConflict(mutation, current) {
+  if (mutation.force) return false;
+  if (mutation.baseVersion !== null) return mutation.baseVersion !== current.version;
+  if (mutation.clientUpdatedAt) return mutation.clientUpdatedAt <= new Date(current.updated_at);
+  return false;
+}
+
+// Columns to write from a todo's data. category_client_id refers to a category created offline,
+// earlier in this batch or in an earlier sync.
+async function parseTodoData(data, { user, partial, categoryIds }) {
+  const columns = {};
+
+  if (data.title !== undefined || !partial) {
+    const title = typeof data.title === 'string' ? data.title.trim() : '';
+    if (!title) throw rejection('title is required');
+    if (title.length > MAX_TITLE_LENGTH) throw rejection(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+    columns.title = title;
+  }
+  if (data.description !== undefined) {
+    if (data.description !== null && typeof data.description !== 'string') {
+      throw rejection('description must be a string');
+    }
+    columns.description = data.description;
+  }
+  if (data.status !== undefined) {
+    if (!TODO_STATUSES.includes(data.status)) throw rejection(`status must be one of: ${TODO_STATUSES.join(', ')}`);
+    columns.status = data.status;
+  }
+  if (data.priority !== undefined) {
+    if (!TODO_PRIORITIES.includes(data.priority)) {
+      throw rejection(`priority must be one of: ${TODO_PRIORITIES.join(', ')}`);
+    }
+    columns.priority = data.priority;
+  }
+  if (data.due_date !== undefined) {
+    columns.due_date = data.due_date === null ? null : parseUserDate(String(data.due_date), user.timezone);
+    if (columns.due_date === null && data.due_date !== null) throw rejection('Invalid due_date');
+  }
+  if (data.assignee_id !== undefined) {
+    if (data.assignee_id !== null && !Number.isInteger(data.assignee_id)) {
+      throw rejection('assignee_id must be a user id');
+    }
+    columns.assignee_id = data.assignee_id;
+  }
+
+  if (data.category_client_id !== undefined) {
+    let categoryId = categoryIds.get(data.category_client_id);
+    if (!categoryId) {
+      const [row] = await queryPromise('SELECT id FROM categories WHERE user_id = ? AND client_id = ?', [
+        user.id,
+        data.category_client_id,
+      ]);
+      categoryId = row && row.id;
+    }
+    if (!categoryId) throw rejection('Unknown category_client_id');
+    columns.category_id = categoryId;
+  } else if (data.category_id !== undefined) {
+    if (data.category_id !== null && !Number.isInteger(data.category_id)) {
+      throw rejection('category_id must be a category id');
+    }
+    columns.category_id = data.category_id;
+  }
+
+  let tags = null;
+  if (data.tags !== undefined) {
+    try {
+      tags = parseTagNames(data.tags);
+    } catch (err) {
+      throw rejection(err.message);
+    }
+  }
+  return { columns, tags };
+}
+
+async function loadTodo(todoId) {
+  const rows = await queryPromise('SELECT * FROM todos WHERE id = ?', [todoId]);
+  return rows[0] || null;
+}
+
+async function loadCategory(categoryId) {
+  const rows = await queryPromise('SELECT * FROM categories WHERE id = ?', [categoryId]);
+  return rows[0] || null;
+}
+
+// UPDATE ... SET the columns and bump the version, only if nobody else wrote in between
+async function updateVersioned(table, id, version, columns) {
+  const names = Object.keys(columns);
+  const result = await queryPromise(
+    `UPDATE ${table} SET ${names.map(name => `${name} = ?, `).join('')}version = version + 1
+     WHERE id = ? AND version = ?`,
+    [...names.map(name => columns[name]), id, version]
+  );
+  return result.affectedRows > 0;
+}
+
+async function checkTodoRelations(user, columns, { ownerId, categoryId, previousCategoryId }) {
+  if (columns.category_id && columns.category_id !== previousCategoryId) {
+    if (!canEdit(await getCategoryRole(columns.category_id, user.id))) {
+      throw rejection('You cannot add todos to this category');
+    }
+  }
+  if (columns.assignee_id && !(await canBeAssigned(categoryId, ownerId, columns.assignee_id))) {
+    throw rejection('Todos can only be assigned to collaborators on their category');
+  }
+}
+
+async function applyTodoMutation(user, mutation, context) {
+  const { op } = mutation;
+
+  if (op === 'create') {
+    const [existing] = await queryPromise('SELECT * FROM todos WHERE user_id = ? AND client_id = ?', [
+      user.id,
+      mutation.clientId,
+    ]);
+    // Already applied by an earlier attempt at this batch
+    if (existing) return { status: 'applied', record: existing };
+
+    const { columns, tags } = await parseTodoData(mutation.data, { user, partial: false, ...context });
+    if (columns.status === 'completed') columns.completed_at = new Date();
+    await checkTodoRelations(user, columns, {
+      ownerId: user.id,
+      categoryId: columns.category_id,
+      previousCategoryId: null,
+    });
+
+    const result = await queryPromise('INSERT INTO todos SET ?', [
+      { ...columns, user_id: user.id, client_id: mutation.clientId },
+    ]);
+    if (tags) await setTodoTags({ id: result.insertId, user_id: user.id }, tags);
+    const after = await loadTodo(result.insertId);
+    await context.hooks.onTodoChange('create', null, after);
+    return { status: 'applied', record: after };
+  }
+
+  const access = await getTodoAccess(mutation.id, user.id);
+  if (!access) throw rejection('Todo not found');
+  const before = access.todo;
+
+  if (op === 'delete') {
+    if (!canEdit(access.role)) throw rejection('You can only view this todo');
+    if (isConflict(mutation, before)) return { status: 'conflict', record: before };
+
+    const result = await queryPromise('DELETE FROM todos WHERE id = ? AND version = ?', [before.id, before.version]);
+    if (result.affectedRows === 0) return { status: 'conflict', record: await loadTodo(before.id) };
+    await tombstoneTodo(before);
+    await context.hooks.onTodoChange('delete', before, null);
+    return { status: 'applied', record: null };
+  }
+
+  const { columns, tags } = await parseTodoData(mutation.data, { user, partial: true, ...context });
+  const statusOnly = !tags && Object.keys(columns).every(column => column === 'status');
+  if (!(statusOnly ? canComplete(access, user.id) : canEdit(access.role))) {
+    throw rejection('You can only view this todo');
+  }
+  if (isConflict(mutation, before)) return { status: 'conflict', record: before };
+
+  await checkTodoRelations(user, columns, {
+    ownerId: before.user_id,
+    categoryId: columns.category_id !== undefined ? columns.category_id : before.category_id,
+    previousCategoryId: before.category_id,
+  });
+  if (columns.status === 'completed' && before.status !== 'completed' && (await openBlockers(before.id)).length) {
+    throw rejection('Todo is blocked by unfinished todos');
+  }
+
+  if (columns.status !== undefined) {
+    columns.completed_at = columns.status === 'completed' ? before.completed_at || new Date() : null;
+  }
+  if (!(await updateVersioned('todos', before.id, before.version, columns))) {
+    return { status: 'conflict', record: await loadTodo(before.id) };
+  }
+  if (tags) await setTodoTags(before, tags);
+  const after = await loadTodo(before.id);
+  await tombstoneTodoMove(before, after);
+  await context.hooks.onTodoChange('update', before, after);
+  return { status: 'applied', record: after };
+}
+
+function parseCategoryName(data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) throw rejection('name is required');
+  if (name.length > MAX_TITLE_LENGTH) throw rejection(`name must be at most ${MAX_TITLE_LENGTH} characters`);
+  return name;
+}
+
+// Only the owner can create, rename or delete a category, as with the /categories routes
+async function applyCategoryMutation(user, mutation, context) {
+  if (mutation.op === 'create') {
+    const [existing] = await queryPromise('SELECT * FROM categories WHERE user_id = ? AND client_id = ?', [
+      user.id,
+      mutation.clientId,
+    ]);
+    if (!existing) {
+      const name = parseCategoryName(mutation.data);
+      const result = await queryPromise('INSERT INTO categories (user_id, name, client_id) VALUES (?, ?, ?)', [
+        user.id,
+        name,
+        mutation.clientId,
+      ]);
+      context.categoryIds.set(mutation.clientId, result.insertId);
+      return { status: 'applied', record: await loadCategory(result.insertId) };
+    }
+    context.categoryIds.set(mutation.clientId, existing.id);
+    return { status: 'applied', record: existing };
+  }
+
+  const before = await loadCategory(mutation.id);
+  if (!before || before.user_id !== user.id) throw rejection('Category not found');
+  if (isConflict(mutation, before)) return { status: 'conflict', record: before };
+
+  if (mutation.op === 'delete') {
+    if (!(await deleteCategory(before.id, before.version))) {
+      return { status: 'conflict', record: await loadCategory(before.id) };
+    }
+    return { status: 'applied', record: null };
+  }
+
+  if (!(await updateVersioned('categories', before.id, before.version, { name: parseCategoryName(mutation.data) }))) {
+    return { status: 'conflict', record: await loadCategory(before.id) };
+  }
+  return { status: 'applied', record: await loadCategory(before.id) };
+}
+
+// Applies the mutations in order; one that is rejected or in conflict doesn't stop the rest.
+// hooks.onTodoChange(op, before, after) runs after each applied todo change, for reminders,
+// recurrence, notifications and the activity feed.
+async function applyMutations(user, mutations, { hooks }) {
+  const context = { categoryIds: new Map(), hooks };
+  const results = [];
+
+  for (const mutation of mutations) {
+    const base = { index: mutation.index, entity: mutation.entity, op: mutation.op, client_id: mutation.clientId };
+    try {
+      const apply = mutation.entity === 'todo' ? applyTodoMutation : applyCategoryMutation;
+      const { status, record } = await apply(user, mutation, context);
+      results.push({
+        ...base,
+        id: record ? record.id : mutation.id,
+        status,
+        record: record && mutation.entity === 'todo' ? await formatSyncedTodo(record, user.timezone) : record,
+      });
+    } catch (err) {
+      if (err.code !== 'SYNC_REJECTED') throw err;
+      results.push({ ...base, id: mutation.id, status: 'rejected', error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  tombstoneTodo,
+  tombstoneTodoMove,
+  tombstoneCategoryAccess,
+  deleteCategory,
+  scheduleTombstonePurge,
+  parseSince,
+  changesSince,
+  parseMutations,
+  applyMutations,
+};
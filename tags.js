@@ -0,0 +1,114 @@
+// Tags are labels on todos. Each user has their own set; a todo's tags live in its creator's set,
+// so collaborators on a shared category see and filter by the same names.
+const pool = require('./db');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_TODO = 20;
+
+function parseTagName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) throw new Error('Tag names must be non-empty strings');
+  if (name.length > MAX_TAG_LENGTH) throw new Error(`Tag names must be at most ${MAX_TAG_LENGTH} characters`);
+  return name;
+}
+
+// Validates a `tags` array from a request body; duplicates (ignoring case) are dropped
+function parseTagNames(input) {
+  if (!Array.isArray(input)) throw new Error('tags must be an array of names');
+  const names = new Map();
+  for (const value of input) {
+    const name = parseTagName(value);
+    if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  }
+  if (names.size > MAX_TAGS_PER_TODO) throw new Error(`A todo can have at most ${MAX_TAGS_PER_TODO} tags`);
+  return [...names.values()];
+}
+
+// Tags are part of a todo for sync, so renaming or deleting one bumps its todos' version (and updated_at)
+function touchTodosWithTag(tagId) {
+  return queryPromise(
+    'UPDATE todos SET version = version + 1 WHERE id IN (SELECT todo_id FROM todo_tags WHERE tag_id = ?)',
+    [tagId]
+  );
+}
+
+// Replaces the todo's tags, creating any the owner doesn't have yet; bumps its version if they changed
+async function setTodoTags(todo, names) {
+  const current = (await tagsForTodos([todo.id])).get(todo.id);
+  const key = list => list.map(name => name.toLowerCase()).sort().join('\n');
+  if (key(current) === key(names)) return;
+
+  await queryPromise('DELETE FROM todo_tags WHERE todo_id = ?', [todo.id]);
+  if (names.length) {
+    await queryPromise('INSERT IGNORE INTO tags (user_id, name) VALUES ?', [names.map(name => [todo.user_id, name])]);
+    await queryPromise(
+      `INSERT IGNORE INTO todo_tags (todo_id, tag_id)
+       SELECT ?, id FROM tags WHERE user_id = ? AND name IN (?)`,
+      [todo.id, todo.user_id, names]
+    );
+  }
+  await queryPromise('UPDATE todos SET version = version + 1 WHERE id = ?', [todo.id]);
+}
+
+// Tag names for each of the todos, keyed by todo id
+async function tagsForTodos(todoIds) {
+  const tags = new Map(todoIds.map(id => [id, []]));
+  if (todoIds.length === 0) return tags;
+
+  const rows = await queryPromise(
+    `SELECT tt.todo_id, t.name FROM todo_tags tt JOIN tags t ON t.id = tt.tag_id
+     WHERE tt.todo_id IN (?) ORDER BY t.name`,
+    [todoIds]
+  );
+  for (const row of rows) tags.get(row.todo_id).push(row.name);
+  return tags;
+}
+
+// Gives a new occurrence of a recurring todo the same tags
+async function copyTodoTags(fromTodoId, toTodoId) {
+  await queryPromise('INSERT INTO todo_tags (todo_id, tag_id) SELECT ?, tag_id FROM todo_tags WHERE todo_id = ?', [
+    toTodoId,
+    fromTodoId,
+  ]);
+}
+
+// The user's tags by name, with how many todos carry each
+async function listTags(userId) {
+  return queryPromise(
+    `SELECT t.id, t.name, t.created_at, COUNT(tt.todo_id) AS todo_count
+     FROM tags t LEFT JOIN todo_tags tt ON tt.tag_id = t.id
+     WHERE t.user_id = ? GROUP BY t.id ORDER BY t.name`,
+    [userId]
+  );
+}
+
+// Throws ER_DUP_ENTRY when the user already has a tag with the new name
+async function renameTag(userId, tagId, name) {
+  const result = await queryPromise('UPDATE tags SET name = ? WHERE id = ? AND user_id = ?', [name, tagId, userId]);
+  if (result.changedRows > 0) await touchTodosWithTag(tagId);
+  return result.affectedRows > 0;
+}
+
+// Removes the tag from every todo that had it
+async function deleteTag(userId, tagId) {
+  // Before the delete, while todo_tags still says which todos had it
+  const [tag] = await queryPromise('SELECT id FROM tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+  if (!tag) return false;
+  await touchTodosWithTag(tag.id);
+  const result = await queryPromise('DELETE FROM tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  parseTagName,
+  parseTagNames,
+  setTodoTags,
+  tagsForTodos,
+  copyTodoTags,
+  listTags,
+  renameTag,
+  deleteTag,
+};
@@ -0,0 +1,37 @@
+const moment = require('moment-timezone');
+
+// For signups that don't send a timezone. UTC, like the users.timezone column default; the users
+// from before timezones were stored were moved to Asia/Kolkata by the migration that added it.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const DATE_TIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+function isValidTimezone(tz) {
+  return typeof tz === 'string' && moment.tz.zone(tz) !== null;
+}
+
+// Reads a wall-clock date/time entered in the user's timezone and returns the UTC instant.
+// Strings with an explicit offset (e.g. ISO 8601 with "Z") keep their offset.
+function parseUserDate(value, tz) {
+  const parsed = moment.tz(value, moment.ISO_8601, tz);
+  if (!parsed.isValid()) return null;
+  return parsed.toDate();
+}
+
+// Moment in the user's timezone for a UTC date read from the database
+function toUserMoment(date, tz) {
+  return moment(date).tz(tz);
+}
+
+function formatUserDate(date, tz) {
+  return date ? toUserMoment(date, tz).format(DATE_TIME_FORMAT) : date;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_TIME_FORMAT,
+  isValidTimezone,
+  parseUserDate,
+  toUserMoment,
+  formatUserDate,
+};
@@ -0,0 +1,356 @@
+// Taking a user's todos out and bringing todos in. An export covers the todos and categories the
+// user owns: a full archive as JSON, one todo per row as CSV, or the dated todos as iCalendar.
+// An import reads any of the three; categories are matched by name (and created when missing),
+// and a todo with the same title and due date as one the user already has is a conflict.
+const pool = require('./db');
+const { parseCsv } = require('./importer');
+const { buildCalendar, parseCalendar } = require('./ical');
+const { parseTagNames, setTodoTags, tagsForTodos } = require('./tags');
+const { parseSubtaskInput, addSubtask } = require('./subtasks');
+const {
+  parseReminderOffsets,
+  getUserDefaultOffsets,
+  setTodoReminderOffsets,
+  syncTodoReminders,
+} = require('./reminders');
+const { parseRecurrence, formatRecurrence } = require('./recurrence');
+const { parseUserDate } = require('./timezone');
+const { TODO_STATUSES, TODO_PRIORITIES } = require('./todoSearch');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const ARCHIVE_FORMATS = ['json', 'csv', 'ics'];
+const ARCHIVE_NAME = 'assister-archive';
+const ARCHIVE_VERSION = 1;
+const CONFLICT_MODES = ['skip', 'duplicate'];
+const CSV_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'category',
+  'tags',
+  'due_date',
+  'completed_at',
+  'created_at',
+  'reminders',
+  'recurrence_rule',
+];
+// Tags and reminder offsets (in minutes) share a CSV cell each
+const CSV_LIST_SEPARATOR = ';';
+const MAX_IMPORT_TODOS = 1000;
+const MAX_TITLE_LENGTH = 255;
+const MAX_CATEGORY_LENGTH = 255;
+
+// ---------- Export ----------
+
+// Rows of `sql` (which selects todo_id) grouped by todo id
+async function rowsByTodo(sql, todoIds) {
+  const groups = new Map(todoIds.map(id => [id, []]));
+  if (todoIds.length === 0) return groups;
+  for (const row of await queryPromise(sql, [todoIds])) groups.get(row.todo_id).push(row);
+  return groups;
+}
+
+// Everything the user owns, with dates as UTC
+async function loadArchive(userId) {
+  const [[user], categories, todos] = await Promise.all([
+    queryPromise('SELECT name, email, timezone FROM users WHERE id = ?', [userId]),
+    queryPromise('SELECT id, name, created_at FROM categories WHERE user_id = ? ORDER BY id', [userId]),
+    queryPromise(
+      `SELECT t.*, c.name AS category_name FROM todos t LEFT JOIN categories c ON c.id = t.category_id
+       WHERE t.user_id = ? ORDER BY t.id`,
+      [userId]
+    ),
+  ]);
+
+  const ids = todos.map(todo => todo.id);
+  const [tags, reminders, subtasks] = await Promise.all([
+    tagsForTodos(ids),
+    rowsByTodo(
+      'SELECT todo_id, offset_minutes FROM todo_reminder_offsets WHERE todo_id IN (?) ORDER BY offset_minutes DESC',
+      ids
+    ),
+    rowsByTodo('SELECT todo_id, title, status FROM todo_subtasks WHERE todo_id IN (?) ORDER BY position, id', ids),
+  ]);
+
+  return {
+    format: ARCHIVE_NAME,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date(),
+    user,
+    categories,
+    todos: todos.map(todo => ({
+      id: todo.id,
+      title: todo.title,
+      description: todo.description,
+      status: todo.status,
+      priority: todo.priority,
+      category_id: todo.category_id,
+      category: todo.category_name,
+      tags: tags.get(todo.id),
+      due_date: todo.due_date,
+      completed_at: todo.completed_at,
+      created_at: todo.created_at,
+      updated_at: todo.updated_at,
+      recurrence_rule: todo.recurrence_rule,
+      recurrence_start: todo.recurrence_start,
+      reminders: reminders.get(todo.id).map(row => row.offset_minutes),
+      subtasks: subtasks.get(todo.id).map(({ title, status }) => ({ title, status })),
+    })),
+  };
+}
+
+// Spreadsheet apps run fields starting with one of these as formulas, so such fields get a leading
+// apostrophe, which parseImport takes off again. Fields that already start with apostrophes before
+// one get another, so that round trips keep them.
+const CSV_FORMULA_START = /^'*[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const raw = value instanceof Date ? value.toISOString() : String(value);
+  const text = CSV_FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per todo; subtasks and empty categories only travel in the JSON archive
+function archiveToCsv(archive) {
+  const rows = archive.todos.map(todo =>
+    CSV_COLUMNS.map(column => {
+      const value = todo[column];
+      return csvField(Array.isArray(value) ? value.join(CSV_LIST_SEPARATOR) : value);
+    }).join(',')
+  );
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+function archiveToIcs(archive, component) {
+  return buildCalendar(
+    archive.todos.map(todo => ({ ...todo, category_name: todo.category })),
+    { name: 'Assister todos', timezone: archive.user && archive.user.timezone, component }
+  );
+}
+
+// ---------- Import ----------
+
+function splitCsvList(value) {
+  return value ? value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Takes off the apostrophe csvField puts in front of a formula-like field
+function csvValue(value) {
+  const guarded = typeof value === 'string' && value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1));
+  return guarded ? value.slice(1) : value;
+}
+
+// The request body as { categories: [names], todos: [raw todos] }. JSON may be an archive from
+// GET /export or a bare array of todos; CSV and iCalendar arrive as text. Throws on bad input.
+function parseImport(body, format, tz) {
+  if (!ARCHIVE_FORMATS.includes(format)) throw new Error(`format must be one of: ${ARCHIVE_FORMATS.join(', ')}`);
+
+  let data;
+  if (format === 'json') {
+    const content = typeof body === 'string' ? JSON.parse(body) : body;
+    const todos = Array.isArray(content) ? content : content && content.todos;
+    if (!Array.isArray(todos)) throw new Error('JSON imports must be an array of todos or { "todos": [...] }');
+
+    const categories = Array.isArray(content.categories) ? content.categories : [];
+    const categoryNames = new Map(categories.map(category => [category && category.id, category && category.name]));
+    data = {
+      categories: categories.map(category => category && category.name).filter(Boolean),
+      // Archives refer to categories by id too; the name is what carries over
+      todos: todos.map(todo =>
+        todo && !todo.category && todo.category_id ? { ...todo, category: categoryNames.get(todo.category_id) } : todo
+      ),
+    };
+  } else {
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error(`Send the ${format.toUpperCase()} file as the request body`);
+    }
+    data =
+      format === 'csv'
+        ? {
+            categories: [],
+            todos: parseCsv(body)
+              .map(row => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, csvValue(value)])))
+              .map(row => ({
+                ...row,
+                tags: splitCsvList(row.tags),
+                reminders: row.reminders === undefined || row.reminders === '' ? null : splitCsvList(row.reminders),
+              })),
+          }
+        : { categories: [], todos: parseCalendar(body, tz) };
+  }
+
+  if (data.todos.length > MAX_IMPORT_TODOS) {
+    throw new Error(`At most ${MAX_IMPORT_TODOS} todos can be imported at once`);
+  }
+  return data;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function importDate(value, tz, name) {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value;
+  const date = parseUserDate(String(value), tz);
+  if (!date) throw new Error(`Invalid ${name}`);
+  return date;
+}
+
+// Validates one raw todo; dates without an offset are read in the user's timezone
+function normalizeImportTodo(raw, tz) {
+  if (!raw || typeof raw !== 'object') throw new Error('must be an object');
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) throw new Error('title is required');
+  if (title.length > MAX_TITLE_LENGTH) throw new Error(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+
+  const status = isBlank(raw.status) ? 'pending' : raw.status;
+  if (!TODO_STATUSES.includes(status)) throw new Error(`status must be one of: ${TODO_STATUSES.join(', ')}`);
+  const priority = isBlank(raw.priority) ? 'medium' : raw.priority;
+  if (!TODO_PRIORITIES.includes(priority)) throw new Error(`priority must be one of: ${TODO_PRIORITIES.join(', ')}`);
+
+  const category = isBlank(raw.category) ? null : String(raw.category).trim() || null;
+  if (category && category.length > MAX_CATEGORY_LENGTH) {
+    throw new Error(`category must be at most ${MAX_CATEGORY_LENGTH} characters`);
+  }
+
+  const dueDate = importDate(raw.due_date, tz, 'due_date');
+  let recurrenceRule = null;
+  if (!isBlank(raw.recurrence_rule)) {
+    if (!dueDate) throw new Error('Recurring todos need a due_date');
+    recurrenceRule = formatRecurrence(parseRecurrence(String(raw.recurrence_rule)));
+  }
+
+  if (!isBlank(raw.subtasks) && !Array.isArray(raw.subtasks)) throw new Error('subtasks must be an array');
+
+  return {
+    title,
+    description: isBlank(raw.description) ? null : String(raw.description),
+    status,
+    priority,
+    category,
+    due_date: dueDate,
+    // Completed todos without a completion time count as completed now
+    completed_at: status === 'completed' ? importDate(raw.completed_at, tz, 'completed_at') || new Date() : null,
+    recurrence_rule: recurrenceRule,
+    recurrence_start: recurrenceRule ? importDate(raw.recurrence_start, tz, 'recurrence_start') || dueDate : null,
+    tags: isBlank(raw.tags) ? [] : parseTagNames(raw.tags),
+    reminders: isBlank(raw.reminders) ? null : parseReminderOffsets(raw.reminders),
+    subtasks: (raw.subtasks || []).map(subtask => parseSubtaskInput(subtask || {})),
+  };
+}
+
+function conflictKey(title, dueDate) {
+  return `${title.trim().toLowerCase()}\n${dueDate ? new Date(dueDate).getTime() : ''}`;
+}
+
+async function insertImportedTodo(userId, todo, categoryId, defaultOffsets) {
+  const result = await queryPromise(
+    `INSERT INTO todos (user_id, title, description, status, completed_at, priority, category_id, due_date,
+                        recurrence_rule, recurrence_start)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId, todo.title, todo.description, todo.status, todo.completed_at, todo.priority, categoryId,
+      todo.due_date, todo.recurrence_rule, todo.recurrence_start,
+    ]
+  );
+
+  const todoId = result.insertId;
+  await setTodoTags({ id: todoId, user_id: userId }, todo.tags);
+  for (const subtask of todo.subtasks) await addSubtask(todoId, subtask);
+  // As with POST /todos, the user's default reminders apply unless the todo lists its own
+  await setTodoReminderOffsets(todoId, todo.reminders || defaultOffsets);
+  await syncTodoReminders(todoId);
+  return todoId;
+}
+
+// Imports parsed todos for the user, skipping (or, with onConflict 'duplicate', also importing)
+// todos that clash with an existing one or an earlier one in the same file. With dryRun nothing
+// is written and the report says what would happen. Invalid todos are reported and skipped.
+async function importTodos(user, { categories, todos }, { dryRun = false, onConflict = 'skip' } = {}) {
+  const report = {
+    dry_run: dryRun,
+    imported: 0,
+    categories: { matched: [], created: [] },
+    conflicts: [],
+    errors: [],
+  };
+
+  const [ownCategories, ownTodos, defaultOffsets] = await Promise.all([
+    queryPromise('SELECT id, name FROM categories WHERE user_id = ?', [user.id]),
+    queryPromise('SELECT id, title, due_date FROM todos WHERE user_id = ?', [user.id]),
+    getUserDefaultOffsets(user.id),
+  ]);
+  const categoryIds = new Map(ownCategories.map(category => [category.name.toLowerCase(), category.id]));
+  const existing = new Map(ownTodos.map(todo => [conflictKey(todo.title, todo.due_date), todo.id]));
+
+  // Category names are matched ignoring case; a dry run has no ids for the ones it would create
+  const resolveCategory = async name => {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    if (categoryIds.has(key)) {
+      const id = categoryIds.get(key);
+      if (id !== null && !report.categories.matched.includes(name) && !report.categories.created.includes(name)) {
+        report.categories.matched.push(name);
+      }
+      return id;
+    }
+    const id = dryRun
+      ? null
+      : (await queryPromise('INSERT INTO categories (user_id, name) VALUES (?, ?)', [user.id, name])).insertId;
+    categoryIds.set(key, id);
+    report.categories.created.push(name);
+    return id;
+  };
+
+  for (const name of categories) {
+    if (typeof name === 'string' && name.trim() && name.trim().length <= MAX_CATEGORY_LENGTH) {
+      await resolveCategory(name.trim());
+    }
+  }
+
+  for (const [index, raw] of todos.entries()) {
+    let todo;
+    try {
+      todo = normalizeImportTodo(raw, user.timezone);
+    } catch (err) {
+      report.errors.push({ index, title: (raw && raw.title) || null, error: err.message });
+      continue;
+    }
+
+    const key = conflictKey(todo.title, todo.due_date);
+    if (existing.has(key)) {
+      report.conflicts.push({
+        index,
+        title: todo.title,
+        due_date: todo.due_date,
+        existing_id: existing.get(key),
+        resolution: onConflict === 'duplicate' ? 'imported' : 'skipped',
+      });
+      if (onConflict !== 'duplicate') continue;
+    }
+
+    const categoryId = await resolveCategory(todo.category);
+    const todoId = dryRun ? null : await insertImportedTodo(user.id, todo, categoryId, defaultOffsets);
+    if (!existing.has(key)) existing.set(key, todoId);
+    report.imported++;
+  }
+
+  return report;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  CONFLICT_MODES,
+  loadArchive,
+  archiveToCsv,
+  archiveToIcs,
+  parseImport,
+  importTodos,
+};
@@ -0,0 +1,264 @@
+// Filtering, sorting and paging for GET /todos. Every value from the query string is bound as a
+// parameter; only the fixed fragments below are ever spliced into the SQL.
+const moment = require('moment-timezone');
+const pool = require('./db');
+const { parseUserDate } = require('./timezone');
+const { visibleTodosClause } = require('./sharing');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const TODO_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const TODO_PRIORITIES = ['low', 'medium', 'high'];
+// Statuses that no longer need doing: never overdue, and never blocking another todo
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const DUE_WINDOWS = ['overdue', 'today', 'week', 'none'];
+
+// Sort keys are numbers or plain strings so cursors can compare them exactly. Undated todos sort
+// after every dated one.
+const SORT_KEYS = {
+  due_date: 'COALESCE(UNIX_TIMESTAMP(due_date), 253402300799)',
+  priority: "FIELD(priority, 'low', 'medium', 'high')",
+  created_at: 'UNIX_TIMESTAMP(created_at)',
+  updated_at: 'UNIX_TIMESTAMP(updated_at)',
+  title: 'title',
+};
+const DEFAULT_ORDER = { due_date: 'asc', priority: 'desc', created_at: 'desc', updated_at: 'desc', title: 'asc' };
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 100;
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function encodeCursor(todo) {
+  return Buffer.from(JSON.stringify({ k: todo.sort_key, id: todo.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(position.id) && ['number', 'string'].includes(typeof position.k)) return position;
+  } catch (err) {
+    // fall through
+  }
+  throw new Error('Invalid cursor');
+}
+
+function parseList(value) {
+  if (value === undefined) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseChoices(value, allowed, name) {
+  const items = parseList(value);
+  for (const item of items) {
+    if (!allowed.includes(item)) throw new Error(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return items;
+}
+
+// A date alone ("2024-05-01") as an upper bound covers that whole day
+function parseDueBound(value, tz, name, { upper = false } = {}) {
+  if (value === undefined) return null;
+  const date = parseUserDate(String(value), tz);
+  if (!date) throw new Error(`Invalid ${name}`);
+  if (!upper) return date;
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? moment.tz(value, tz).add(1, 'day').toDate()
+    : new Date(date.getTime() + 1000);
+}
+
+// Validates query-string parameters; throws with a client-facing message on bad input.
+// Due dates are read in the user's timezone. Without limit or cursor the listing isn't paged (limit is null).
+function parseTodoQuery(query, tz) {
+  let limit = null;
+  if (query.limit !== undefined) limit = Number(query.limit);
+  else if (query.cursor) limit = DEFAULT_LIMIT;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const categories = parseList(query.category);
+  if (!categories.every(category => category === 'none' || /^\d+$/.test(category))) {
+    throw new Error('category must be category ids or "none"');
+  }
+  if (query.assignee !== undefined && !['me', 'none'].includes(query.assignee)) {
+    throw new Error('assignee must be "me" or "none"');
+  }
+  if (query.due !== undefined && !DUE_WINDOWS.includes(query.due)) {
+    throw new Error(`due must be one of: ${DUE_WINDOWS.join(', ')}`);
+  }
+
+  const sort = query.sort === undefined ? 'created_at' : String(query.sort);
+  if (!SORT_KEYS[sort]) throw new Error(`sort must be one of: ${Object.keys(SORT_KEYS).join(', ')}`);
+  const order = query.order === undefined ? DEFAULT_ORDER[sort] : String(query.order);
+  if (!['asc', 'desc'].includes(order)) throw new Error('order must be asc or desc');
+
+  const q = String(query.q || '').trim();
+  if (q.length > MAX_QUERY_LENGTH) throw new Error(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+
+  const params = {
+    statuses: parseChoices(query.status, TODO_STATUSES, 'status'),
+    priorities: parseChoices(query.priority, TODO_PRIORITIES, 'priority'),
+    categories,
+    tags: parseList(query.tags),
+    assignee: query.assignee || null,
+    due: query.due || null,
+    dueDate: parseDueBound(query.dueDate, tz, 'dueDate'),
+    dueFrom: parseDueBound(query.dueFrom, tz, 'dueFrom'),
+    dueBefore: parseDueBound(query.dueTo, tz, 'dueTo', { upper: true }),
+    q,
+    sort,
+    order,
+    cursor: query.cursor ? decodeCursor(String(query.cursor)) : null,
+    limit,
+    tz,
+  };
+  if (params.dueFrom && params.dueBefore && params.dueFrom >= params.dueBefore) {
+    throw new Error('dueFrom must be before dueTo');
+  }
+  return params;
+}
+
+// Words for a boolean-mode MATCH, each required and matched as a prefix
+function fullTextQuery(q) {
+  return q
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `+${word}*`)
+    .join(' ');
+}
+
+function buildTodoFilters(userId, params) {
+  const visible = visibleTodosClause(userId);
+  const clauses = [visible.sql];
+  const values = [...visible.values];
+
+  if (params.statuses.length) {
+    clauses.push('todos.status IN (?)');
+    values.push(params.statuses);
+  }
+  if (params.priorities.length) {
+    clauses.push('todos.priority IN (?)');
+    values.push(params.priorities);
+  }
+  if (params.categories.length) {
+    const ids = params.categories.filter(category => category !== 'none').map(Number);
+    const parts = [];
+    if (ids.length) {
+      parts.push('todos.category_id IN (?)');
+      values.push(ids);
+    }
+    if (params.categories.includes('none')) parts.push('todos.category_id IS NULL');
+    clauses.push(`(${parts.join(' OR ')})`);
+  }
+  for (const tag of params.tags) {
+    clauses.push(
+      `EXISTS (SELECT 1 FROM todo_tags tt JOIN tags t ON t.id = tt.tag_id
+               WHERE tt.todo_id = todos.id AND t.name = ?)`
+    );
+    values.push(tag);
+  }
+  if (params.assignee === 'me') {
+    clauses.push('todos.assignee_id = ?');
+    values.push(userId);
+  } else if (params.assignee === 'none') {
+    clauses.push('todos.assignee_id IS NULL');
+  }
+
+  if (params.dueDate) {
+    clauses.push('todos.due_date = ?');
+    values.push(params.dueDate);
+  }
+  if (params.dueFrom) {
+    clauses.push('todos.due_date >= ?');
+    values.push(params.dueFrom);
+  }
+  if (params.dueBefore) {
+    clauses.push('todos.due_date < ?');
+    values.push(params.dueBefore);
+  }
+  if (params.due === 'overdue') {
+    clauses.push('todos.due_date < ? AND todos.status NOT IN (?)');
+    values.push(new Date(), CLOSED_STATUSES);
+  } else if (params.due === 'today' || params.due === 'week') {
+    // Calendar day or Monday-to-Sunday week in the user's timezone
+    const [startOf, length] = params.due === 'today' ? ['day', 'day'] : ['isoWeek', 'week'];
+    const start = moment.tz(params.tz).startOf(startOf);
+    clauses.push('todos.due_date >= ? AND todos.due_date < ?');
+    values.push(start.toDate(), start.clone().add(1, length).toDate());
+  } else if (params.due === 'none') {
+    clauses.push('todos.due_date IS NULL');
+  }
+
+  if (params.q) {
+    const like = `%${escapeLike(params.q)}%`;
+    const match = fullTextQuery(params.q);
+    if (match) {
+      clauses.push(
+        `(MATCH(todos.title, todos.description) AGAINST (? IN BOOLEAN MODE)
+          OR todos.title LIKE ? OR todos.description LIKE ?)`
+      );
+      values.push(match, like, like);
+    } else {
+      clauses.push('(todos.title LIKE ? OR todos.description LIKE ?)');
+      values.push(like, like);
+    }
+  }
+
+  return { where: `WHERE ${clauses.join(' AND ')}`, values };
+}
+
+// One page of the todos the user can see, with the cursor for the next page (null on the last).
+// With no limit, every matching todo is one page.
+async function searchTodos(userId, params) {
+  const filters = buildTodoFilters(userId, params);
+  const direction = params.order === 'asc' ? 'ASC' : 'DESC';
+  const comparison = params.order === 'asc' ? '>' : '<';
+
+  let cursorClause = '';
+  const cursorValues = [];
+  if (params.cursor) {
+    cursorClause = `WHERE sort_key ${comparison} ? OR (sort_key = ? AND id ${comparison} ?)`;
+    cursorValues.push(params.cursor.k, params.cursor.k, params.cursor.id);
+  }
+
+  const rows = await queryPromise(
+    `SELECT * FROM (
+       SELECT todos.*, ${SORT_KEYS[params.sort]} AS sort_key FROM todos ${filters.where}
+     ) sorted
+     ${cursorClause}
+     ORDER BY sort_key ${direction}, id ${direction}
+     ${params.limit === null ? '' : 'LIMIT ?'}`,
+    [...filters.values, ...cursorValues, ...(params.limit === null ? [] : [params.limit + 1])]
+  );
+
+  const paged = params.limit !== null && rows.length > params.limit;
+  const todos = paged ? rows.slice(0, params.limit) : rows;
+  const nextCursor = paged ? encodeCursor(todos[todos.length - 1]) : null;
+  todos.forEach(todo => delete todo.sort_key);
+  return { todos, nextCursor };
+}
+
+// Every todo matching the filters that has a due date, soonest first, up to `max`; not paged
+async function listDatedTodos(userId, params, max) {
+  const filters = buildTodoFilters(userId, params);
+  return queryPromise(
+    `SELECT todos.* FROM todos ${filters.where} AND todos.due_date IS NOT NULL
+     ORDER BY todos.due_date, todos.id LIMIT ?`,
+    [...filters.values, max]
+  );
+}
+
+module.exports = {
+  TODO_STATUSES,
+  TODO_PRIORITIES,
+  CLOSED_STATUSES,
+  parseTodoQuery,
+  searchTodos,
+  listDatedTodos,
+};
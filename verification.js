@@ -0,0 +1,111 @@
+// One-time codes sent by email or SMS for password reset and contact verification.
+// Codes are stored hashed, expire, allow a limited number of wrong guesses, and a new code
+// replaces any earlier one for the same purpose.
+const crypto = require('crypto');
+const pool = require('./db');
+const { sendMessage } = require('./messaging');
+
+const queryPromise = (sql, params = []) =>
+  pool.query(sql, params).then(([rows]) => rows);
+
+const CODE_PURPOSES = {
+  password_reset: { ttlMinutes: 15, subject: 'Your password reset code' },
+  email_verification: { ttlMinutes: 24 * 60, subject: 'Verify your email address' },
+  phone_verification: { ttlMinutes: 15, subject: null },
+};
+const MAX_ATTEMPTS = 5;
+// Minimum wait before another code for the same purpose is sent
+const RESEND_COOLDOWN_SECONDS = 60;
+
+function hashCode(userId, purpose, code) {
+  return crypto.createHash('sha256').update(`${userId}:${purpose}:${code}`).digest('hex');
+}
+
+function describe(purpose, code, ttlMinutes) {
+  const validity = ttlMinutes >= 60 ? `${ttlMinutes / 60} hours` : `${ttlMinutes} minutes`;
+  switch (purpose) {
+    case 'password_reset':
+      return `Your password reset code is ${code}. It is valid for ${validity}. If you didn't ask to reset your password, you can ignore this message.`;
+    case 'email_verification':
+      return `Your email verification code is ${code}. It is valid for ${validity}.`;
+    default:
+      return `Your verification code is ${code}. It is valid for ${validity}.`;
+  }
+}
+
+// Sends a new code to `target` (an email address or phone number) over `channel`.
+// Returns false without sending when the previous code went out less than the cooldown ago.
+async function sendVerificationCode(userId, purpose, { channel, target }) {
+  const { ttlMinutes, subject } = CODE_PURPOSES[purpose];
+
+  const [recent] = await queryPromise(
+    `SELECT COUNT(*) AS count FROM verification_codes
+     WHERE user_id = ? AND purpose = ? AND created_at > UTC_TIMESTAMP() - INTERVAL ? SECOND`,
+    [userId, purpose, RESEND_COOLDOWN_SECONDS]
+  );
+  if (recent.count > 0) return false;
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await queryPromise(
+    `UPDATE verification_codes SET consumed_at = UTC_TIMESTAMP()
+     WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL`,
+    [userId, purpose]
+  );
+  await queryPromise(
+    `INSERT INTO verification_codes (user_id, purpose, target, code_hash, expires_at, created_at)
+     VALUES (?, ?, ?, ?, UTC_TIMESTAMP() + INTERVAL ? MINUTE, UTC_TIMESTAMP())`,
+    [userId, purpose, target, hashCode(userId, purpose, code), ttlMinutes]
+  );
+
+  await sendMessage({ channel, to: target, subject, text: describe(purpose, code, ttlMinutes) });
+  return true;
+}
+
+// Checks a code and uses it up when it matches. Returns 'ok', 'invalid', 'expired' or
+// 'too_many_attempts'; on 'ok' also the target the code was sent to.
+async function consumeVerificationCode(userId, purpose, code) {
+  const rows = await queryPromise(
+    `SELECT id, target, code_hash, expires_at <= UTC_TIMESTAMP() AS expired
+     FROM verification_codes
+     WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL
+     ORDER BY id DESC LIMIT 1`,
+    [userId, purpose]
+  );
+  if (rows.length === 0) return { status: 'invalid' };
+
+  const entry = rows[0];
+  if (entry.expired) return { status: 'expired' };
+
+  // Every guess takes one of the attempts before it is checked, in a single statement, so
+  // concurrent guesses can't all slip under the limit
+  const claimed = await queryPromise(
+    'UPDATE verification_codes SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+    [entry.id, MAX_ATTEMPTS]
+  );
+  if (claimed.affectedRows === 0) return { status: 'too_many_attempts' };
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashCode(userId, purpose, String(code))),
+    Buffer.from(entry.code_hash)
+  );
+  if (!matches) {
+    const [{ attempts }] = await queryPromise('SELECT attempts FROM verification_codes WHERE id = ?', [entry.id]);
+    return { status: attempts >= MAX_ATTEMPTS ? 'too_many_attempts' : 'invalid' };
+  }
+
+  // Guards against the same code being used twice by concurrent requests
+  const result = await queryPromise(
+    'UPDATE verification_codes SET consumed_at = UTC_TIMESTAMP() WHERE id = ? AND consumed_at IS NULL',
+    [entry.id]
+  );
+  return result.affectedRows > 0 ? { status: 'ok', target: entry.target } : { status: 'invalid' };
+}
+
+// Client-facing message for a failed consumeVerificationCode()
+const CODE_ERRORS = {
+  invalid: 'Invalid code',
+  expired: 'Code has expired, please request a new one',
+  too_many_attempts: 'Too many wrong attempts, please request a new code',
+};
+
+module.exports = { sendVerificationCode, consumeVerificationCode, CODE_ERRORS };